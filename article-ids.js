@@ -0,0 +1,94 @@
+/**
+ * Canonical article identity
+ *
+ * The homepage, RSS feed and sitemap link to the same story with different
+ * slugs or query strings, so articles are identified by HLTV's numeric news ID
+ * instead of their URL. Articles without a news ID (third-party sources or
+ * links to an index page) are identified by their normalized title, and fall
+ * back to title similarity when compared.
+ */
+
+// Share of common title words above which two articles are the same story
+const TITLE_SIMILARITY_THRESHOLD = 0.8;
+
+/**
+ * Normalize an article title for comparison
+ * @param {string} title - Article title
+ * @returns {string} - Lowercase title with punctuation removed and collapsed whitespace
+ */
+function normalizeTitle(title) {
+  return String(title || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Get HLTV's numeric news ID from an article URL
+ * @param {string} url - Article URL, e.g. "https://www.hltv.org/news/41234/vitality-win-cologne?ref=rss"
+ * @returns {string|null} - News ID, e.g. "41234", or null if the URL isn't an HLTV article
+ */
+function getNewsId(url) {
+  const match = String(url || '').match(/hltv\.org\/news\/(\d+)(?:[/?#]|$)/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Get the canonical ID of an article
+ * @param {Object} article - Article with url and title
+ * @returns {string} - "hltv:<news ID>", or "title:<normalized title>" for articles without a news ID
+ */
+function getArticleId(article) {
+  const newsId = getNewsId(article.url);
+  return newsId ? `hltv:${newsId}` : `title:${normalizeTitle(article.title)}`;
+}
+
+/**
+ * Compare two titles by the words they share
+ * @param {string} a - First title
+ * @param {string} b - Second title
+ * @returns {number} - Similarity from 0 (no common words) to 1 (same words)
+ */
+function titleSimilarity(a, b) {
+  const wordsA = new Set(normalizeTitle(a).split(' ').filter(Boolean));
+  const wordsB = new Set(normalizeTitle(b).split(' ').filter(Boolean));
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    return 0;
+  }
+
+  const common = [...wordsA].filter(word => wordsB.has(word)).length;
+  return (2 * common) / (wordsA.size + wordsB.size);
+}
+
+/**
+ * Check if two articles are the same story
+ * Articles that both have a news ID are only compared by it, similar titles of
+ * different HLTV articles (e.g. two previews of the same match) are kept apart
+ * @param {Object} a - Article or posted article record
+ * @param {Object} b - Article or posted article record
+ * @returns {boolean} - True if both refer to the same story
+ */
+function isSameArticle(a, b) {
+  const idA = a.articleId || getArticleId(a);
+  const idB = b.articleId || getArticleId(b);
+  // Untitled articles without a news ID share the ID "title:", which says nothing about the story
+  if (idA === idB && idA !== 'title:') {
+    return true;
+  }
+
+  if (idA.startsWith('hltv:') && idB.startsWith('hltv:')) {
+    return false;
+  }
+
+  return titleSimilarity(a.title, b.title) >= TITLE_SIMILARITY_THRESHOLD;
+}
+
+module.exports = {
+  normalizeTitle,
+  getNewsId,
+  getArticleId,
+  titleSimilarity,
+  isSameArticle
+};
@@ -0,0 +1,100 @@
+/**
+ * Help message
+ *
+ * Lists every prefix command, grouped into one embed field per topic.
+ * Discord allows at most 25 fields per embed and 1024 characters per field,
+ * so new commands go into an existing group instead of a field of their own.
+ */
+const { EmbedBuilder } = require('discord.js');
+
+/**
+ * Get the command groups shown in the help message
+ * @param {Object} commands - Configurable command names from config.json (checkNews, matches, teams)
+ * @returns {Array} - [{ name, commands: [[usage, description]] }]
+ */
+function getCommandGroups(commands) {
+  return [
+    {
+      name: 'News',
+      commands: [
+        [commands.checkNews, 'Get the latest CS news from HLTV.org'],
+        ['!cssummary <url>', 'Get a short summary of an HLTV.org article'],
+        ['!cstransfers', 'Get the latest player transfers']
+      ]
+    },
+    {
+      name: 'Matches',
+      commands: [
+        [commands.matches, 'Get upcoming CS matches'],
+        ['!cslive', 'List the matches that are live right now'],
+        ['!csresults [team]', 'Get recent match results, optionally for a single team'],
+        ['!csfollow <team> [minutes] [#channel] [@role]', 'Get a DM (or, for admins, a channel message) before a team plays'],
+        ['!csunfollow <team> [#channel]', 'Stop match reminders for a team'],
+        ['!csfollows', 'List your followed teams and the channel reminders of this server']
+      ]
+    },
+    {
+      name: 'Teams and Rankings',
+      commands: [
+        [commands.teams, 'Get current CS team rankings'],
+        ['!csrankings <date>', 'Get CS team rankings for a date (`2024-03-14`, `2024-03`, `last week`, `3 weeks ago` or `2025/may/12`)'],
+        ['!csmovers', 'Compare the latest team ranking with the previous week'],
+        ['!csrankhistory <team> [weeks]', 'Show how a team\'s rank and points changed over the last weeks (default 12, max 26)'],
+        ['!csteam <name>', 'Get a team\'s roster, coach, ranking, recent results and upcoming matches'],
+        ['!csplayer <nickname>', 'Get a player\'s team, country, 3 month rating and recent team changes']
+      ]
+    },
+    {
+      name: 'Events',
+      commands: [
+        ['!csevents', 'List ongoing and upcoming tournaments'],
+        ['!csevent <name>', 'Show the group standings and playoff bracket of an event']
+      ]
+    },
+    {
+      name: 'Subscriptions',
+      commands: [
+        ['!cssubscriptions', 'List the channels of this server that receive news updates'],
+        ['!csfilter list [#channel]', 'Show the news filters of a channel'],
+        ['!cssubscribe [transfers] [#channel]', 'Admin only: Post news updates (or transfers) in a channel'],
+        ['!csunsubscribe [transfers] [#channel]', 'Admin only: Stop posting news updates (or transfers) in a channel'],
+        ['!csfilter add|remove include|exclude <term> [#channel]', 'Admin only: Only post (or skip) articles mentioning a team, player or keyword'],
+        ['!csautoresults on|off [#channel]', 'Admin only: Post results of the teams a subscribed channel follows']
+      ]
+    },
+    {
+      name: 'Admin',
+      commands: [
+        ['!cslive track <number> [#channel]', 'Pin a status message that follows a live match'],
+        ['!cslive stop [#channel]', 'Stop updating the live match messages of a channel'],
+        ['!csreset', 'Reset article history to prevent duplicates'],
+        ['!csstatus', 'Show cache ages, news source, scraping health, rate limits and scheduled checks']
+      ]
+    }
+  ];
+}
+
+/**
+ * Build the help embed
+ * @param {Object} config - Bot config (embedColor and commands)
+ * @returns {EmbedBuilder} - Embed with one field per command group
+ */
+function buildHelpEmbed(config) {
+  const fields = getCommandGroups(config.commands).map(group => ({
+    name: group.name,
+    value: group.commands.map(([usage, description]) => `\`${usage}\` - ${description}`).join('\n'),
+    inline: false
+  }));
+
+  return new EmbedBuilder()
+    .setColor(config.embedColor)
+    .setTitle('CS News Bot Commands')
+    .setDescription('Here are the available commands. Every command is also available as a slash command (e.g. `/csnews`). Use `!help` to show this message again.')
+    .addFields(...fields)
+    .setFooter({ text: 'CS News Discord Bot' });
+}
+
+module.exports = {
+  getCommandGroups,
+  buildHelpEmbed
+};
@@ -0,0 +1,139 @@
+/**
+ * HTTP transport with record and replay modes
+ *
+ * Every request of the scraper goes through a transport:
+ *   live    requests go to the network (default)
+ *   record  requests go to the network and every response is saved to disk
+ *   replay  responses are served from disk and nothing goes to the network
+ * Recordings are stored per URL, so pages captured once can be replayed by
+ * tests and during local development without access to HLTV.org.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MODES = ['live', 'record', 'replay'];
+
+class HttpTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {string} options.mode - "live", "record" or "replay" (default "live")
+   * @param {string} options.recordingsDir - Directory of the recorded responses
+   * @param {Function} options.fetch - Function making the network request, called with (url, config) (default: axios.get)
+   */
+  constructor({ mode = 'live', recordingsDir, fetch = axios.get } = {}) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown transport mode "${mode}", expected one of: ${MODES.join(', ')}`);
+    }
+    if (mode !== 'live' && !recordingsDir) {
+      throw new Error(`The ${mode} transport mode needs a recordings directory`);
+    }
+
+    this.mode = mode;
+    this.recordingsDir = recordingsDir;
+    this.fetch = fetch;
+  }
+
+  /**
+   * Get the file a URL's response is recorded in
+   * The name starts with the URL's host and path so recordings can be found by hand
+   * @param {string} url - Requested URL
+   * @returns {string} - Path of the recording
+   */
+  getRecordingPath(url) {
+    const { hostname, pathname } = new URL(url);
+    const slug = `${hostname}${pathname}`.replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '').slice(0, 80);
+    const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 10);
+    return path.join(this.recordingsDir, `${slug}-${hash}.json`);
+  }
+
+  /**
+   * Make a GET request
+   * @param {string} url - URL to request
+   * @param {Object} config - Axios request config (headers, timeout, agents)
+   * @returns {Promise<Object>} - Axios response, or a replayed response with the same fields
+   */
+  async get(url, config = {}) {
+    if (this.mode === 'replay') {
+      return this.replay(url);
+    }
+
+    try {
+      const response = await this.fetch(url, config);
+      if (this.mode === 'record') {
+        this.record(url, response);
+      }
+      return response;
+    } catch (error) {
+      // Error pages are recorded too, so a replay fails the same way
+      if (this.mode === 'record' && error.response) {
+        this.record(url, error.response);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Save a response to disk
+   * @param {string} url - Requested URL
+   * @param {Object} response - Axios response
+   */
+  record(url, response) {
+    try {
+      if (!fs.existsSync(this.recordingsDir)) {
+        fs.mkdirSync(this.recordingsDir, { recursive: true });
+      }
+
+      const recordingPath = this.getRecordingPath(url);
+      fs.writeFileSync(recordingPath, JSON.stringify({
+        url,
+        recordedAt: new Date().toISOString(),
+        status: response.status,
+        statusText: response.statusText || '',
+        headers: JSON.parse(JSON.stringify(response.headers || {})),
+        data: response.data
+      }, null, 2));
+      console.log(`Recorded ${url} to ${recordingPath}`);
+    } catch (error) {
+      console.error(`Error recording response of ${url}:`, error.message);
+    }
+  }
+
+  /**
+   * Serve a recorded response
+   * Recorded error statuses are thrown like axios does, with the response attached
+   * @param {string} url - Requested URL
+   * @returns {Object} - Recorded response
+   */
+  replay(url) {
+    const recordingPath = this.getRecordingPath(url);
+    if (!fs.existsSync(recordingPath)) {
+      const error = new Error(`No recording of ${url} (expected ${recordingPath})`);
+      error.code = 'ERR_NO_RECORDING';
+      throw error;
+    }
+
+    const recording = JSON.parse(fs.readFileSync(recordingPath, 'utf8'));
+    console.log(`Replaying ${url} from ${recordingPath}`);
+
+    const response = {
+      status: recording.status,
+      statusText: recording.statusText,
+      headers: recording.headers || {},
+      data: recording.data,
+      config: { url }
+    };
+
+    if (response.status < 200 || response.status >= 300) {
+      const error = new Error(`Request failed with status code ${response.status}`);
+      error.response = response;
+      throw error;
+    }
+
+    return response;
+  }
+}
+
+module.exports = HttpTransport;
@@ -1,8 +1,19 @@
 require('dotenv').config();
-const { Client, GatewayIntentBits, EmbedBuilder } = require('discord.js');
+const { Client, GatewayIntentBits, EmbedBuilder, PermissionFlagsBits, MessageFlags } = require('discord.js');
 const fs = require('fs');
 const path = require('path');
 const scraper = require('./scraper');
+const { registerSlashCommands } = require('./slash-commands');
+const SubscriptionStore = require('./subscriptions');
+const { FILTER_TYPES, articleMatchesFilters } = require('./news-filters');
+const MatchReminderScheduler = require('./match-reminders');
+const { normalizeTeamName, isSameTeam, resolveTeam } = require('./team-names');
+const LiveMatchTracker = require('./live-tracker');
+const { getRankingMonday, toDateString, resolveRankingDate } = require('./ranking-dates');
+const { summarize } = require('./summarizer');
+const { isSameArticle } = require('./article-ids');
+const ScrapeHealthMonitor = require('./scrape-health');
+const { buildHelpEmbed } = require('./help');
 
 // Load optional config file
 let config = {
@@ -10,11 +21,39 @@ let config = {
   footerText: 'HLTV.org CS News Bot',
   maxArticlesToKeep: 20,
   delayBetweenMessages: 1000,
+  enablePrefixCommands: true,
   commands: {
     checkNews: '!csnews',
     matches: '!csmatches',
     teams: '!csteams'
   },
+  matchReminders: {
+    defaultMinutesBefore: 15,
+    syncIntervalMinutes: 30
+  },
+  matchResults: {
+    checkIntervalMinutes: 30
+  },
+  liveMatches: {
+    pollIntervalSeconds: 120,
+    maxTracked: 3
+  },
+  transfers: {
+    checkIntervalMinutes: 30
+  },
+  summaries: {
+    enabled: false,
+    sentences: 3
+  },
+  scrapeHealth: {
+    failureThreshold: 3
+  },
+  rankingMovers: {
+    autoPost: true,
+    checkIntervalMinutes: 60,
+    topTeams: 30,
+    maxPerSection: 10
+  },
   logging: {
     showStartupMessage: true,
     showUpdateChecks: true
@@ -45,217 +84,1461 @@ try {
 })();
 
 // Initialize Discord client
-const client = new Client({
-  intents: [
-    GatewayIntentBits.Guilds,
-    GatewayIntentBits.GuildMessages,
-    GatewayIntentBits.MessageContent
-  ]
+// Prefix commands need the privileged MessageContent intent, slash commands
+// and mentions work without it
+const intents = [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages];
+if (config.enablePrefixCommands) {
+  intents.push(GatewayIntentBits.MessageContent);
+}
+
+const client = new Client({ intents });
+
+// Registry of subscribed news channels, with posted articles tracked per channel
+const subscriptionStore = new SubscriptionStore(path.join(__dirname, 'cache', 'subscriptions.json'));
+
+// Function to move the legacy CHANNEL_ID setup into the subscription store
+// The old global posted_articles.json list becomes that channel's history
+async function migrateLegacyChannel() {
+  if (subscriptionStore.isLegacyMigrated()) {
+    return;
+  }
+  
+  const channelId = process.env.CHANNEL_ID;
+  if (channelId) {
+    const channel = await fetchNewsChannel(channelId);
+    if (!channel) {
+      // Try again on the next start
+      return;
+    }
+    
+    let legacyArticles = [];
+    try {
+      const postedArticlesPath = path.join(__dirname, 'cache', 'posted_articles.json');
+      if (fs.existsSync(postedArticlesPath)) {
+        const data = JSON.parse(fs.readFileSync(postedArticlesPath, 'utf8'));
+        legacyArticles = data.articles || [];
+      }
+    } catch (error) {
+      console.error('Error loading posted articles from file:', error);
+    }
+    
+    if (channel.guildId) {
+      subscriptionStore.addChannel(channel.guildId, channelId, { seedArticles: legacyArticles });
+      console.log(`Migrated CHANNEL_ID ${channelId} to a subscription with ${legacyArticles.length} posted articles`);
+    }
+  }
+  
+  subscriptionStore.markLegacyMigrated();
+}
+
+// Function to fetch a news channel, returns null if it can't be posted to
+async function fetchNewsChannel(channelId) {
+  let channel;
+  try {
+    channel = await client.channels.fetch(channelId);
+  } catch (error) {
+    if (error.code === 50001) {
+      console.error(`Missing access to channel ${channelId}. Make sure the bot has proper permissions.`);
+      console.error('See bot_permissions_guide.md for help with setting up permissions.');
+    } else {
+      console.error(`Error fetching channel ${channelId}: ${error.message}`);
+    }
+    return null;
+  }
+  
+  if (!channel) {
+    console.error(`Channel with ID ${channelId} not found`);
+    return null;
+  }
+  
+  // Check if the channel is a text channel
+  if (!channel.isTextBased()) {
+    console.error(`Channel with ID ${channelId} is not a text channel`);
+    return null;
+  }
+  
+  return channel;
+}
+
+// Function to format an ISO timestamp with Discord's timestamp markup, shown in each reader's timezone
+function formatDiscordTime(timestamp, style = 'f') {
+  const ms = new Date(timestamp || '').getTime();
+  return Number.isNaN(ms) ? null : `<t:${Math.floor(ms / 1000)}:${style}>`;
+}
+
+// Article summary settings, with defaults for keys missing from config.json
+const summarySettings = {
+  enabled: false,
+  sentences: 3,
+  ...config.summaries
+};
+
+// Function to summarize the text of a fetched article
+function summarizeArticle(details) {
+  return summarize(details.text || details.excerpt || '', { sentences: summarySettings.sentences });
+}
+
+// Readable names of the news sources the scraper labels articles with
+const NEWS_SOURCE_LABELS = {
+  homepage: 'HLTV.org homepage',
+  rss: 'HLTV.org RSS feed',
+  sitemap: 'HLTV.org news sitemap'
+};
+
+// Function to build the footer of an article embed with the source it was found in
+function formatNewsSourceFooter(article) {
+  if (!NEWS_SOURCE_LABELS[article.source]) {
+    return config.footerText;
+  }
+  
+  const confidence = article.confidence && article.confidence !== 'high' ? ` (${article.confidence} confidence)` : '';
+  return `${config.footerText} • via ${NEWS_SOURCE_LABELS[article.source]}${confidence}`;
+}
+
+// Function to build the embed for a single news article
+// details are the author, publish time, excerpt and image fetched from the article page
+function buildArticleEmbed(article, details = null) {
+  let description = 'Click the title to read the full article';
+  const summary = details && summarySettings.enabled ? summarizeArticle(details) : null;
+  if (summary) {
+    description = `**TL;DR** ${summary}`;
+  } else if (details && details.excerpt) {
+    description = details.excerpt;
+  }
+  
+  const embed = new EmbedBuilder()
+    .setColor(article.type === 'featured' ? '#FF4500' : config.embedColor)
+    .setTitle(article.title)
+    .setURL(article.url)
+    .setDescription(description)
+    .setFooter({ text: formatNewsSourceFooter(article) });
+  
+  // The article page has the exact publish time, the news listings may only have the date
+  const publishedAt = (details && details.publishedAt) || article.publishedAt;
+  embed.setTimestamp(publishedAt ? new Date(publishedAt) : new Date());
+  
+  if (details && details.author) {
+    embed.setAuthor({ name: details.author });
+  }
+  
+  // Featured articles have an image on the homepage, other articles use the article's lead image
+  const image = article.image || (details && details.image);
+  if (image) {
+    embed.setImage(image);
+  }
+  
+  // Add publish time if available
+  if (formatDiscordTime(publishedAt)) {
+    embed.addFields({ name: 'Published', value: `${formatDiscordTime(publishedAt)} (${formatDiscordTime(publishedAt, 'R')})`, inline: true });
+  }
+  
+  return embed;
+}
+
+// Time degraded mode started, null while real news is available
+let degradedSince = null;
+
+// Function to send a notice to the admin channel set in ADMIN_CHANNEL_ID,
+// or to the bot owner by DM when no admin channel is set or it can't be reached
+async function notifyAdmins(message) {
+  const channelId = process.env.ADMIN_CHANNEL_ID;
+  const channel = channelId ? await fetchNewsChannel(channelId) : null;
+  
+  if (channel) {
+    try {
+      await channel.send(message);
+      return true;
+    } catch (error) {
+      console.error(`Error sending admin notice to channel ${channelId}:`, error.message);
+    }
+  }
+  
+  return notifyOwner(message);
+}
+
+// Function to DM the bot owner, set in OWNER_ID or taken from the Discord application
+async function notifyOwner(message) {
+  try {
+    let ownerId = process.env.OWNER_ID;
+    if (!ownerId) {
+      // Applications owned by a team have the team owner as ownerId
+      const application = await client.application.fetch();
+      ownerId = application.owner && (application.owner.ownerId || application.owner.id);
+    }
+    
+    if (!ownerId) {
+      console.log(`No admin channel or owner to notify, admin notice not sent: ${message}`);
+      return false;
+    }
+    
+    const owner = await client.users.fetch(ownerId);
+    await owner.send(message);
+    return true;
+  } catch (error) {
+    console.error('Error sending admin notice to the bot owner:', error.message);
+    return false;
+  }
+}
+
+// Scrape health settings, with defaults for keys missing from config.json
+const healthSettings = {
+  failureThreshold: 3,
+  ...config.scrapeHealth
+};
+
+// Alerts the admins when a scraper method keeps failing, and again when it recovers
+const scrapeHealth = new ScrapeHealthMonitor({
+  failureThreshold: healthSettings.failureThreshold,
+  notify: notifyAdmins
+});
+scraper.healthMonitor = scrapeHealth;
+
+// Function to enter or leave degraded mode, each change is reported once to the admins
+async function updateDegradedMode(degraded) {
+  if (degraded && !degradedSince) {
+    degradedSince = new Date();
+    console.log('Entering degraded mode: no real news available, nothing will be posted');
+    await notifyAdmins('⚠️ **Degraded mode**: no news could be fetched from the HLTV.org homepage, RSS feed or sitemap. Nothing will be posted until real articles are available again.');
+  } else if (!degraded && degradedSince) {
+    const minutes = Math.round((Date.now() - degradedSince.getTime()) / (60 * 1000));
+    degradedSince = null;
+    const source = scraper.lastNewsSource && NEWS_SOURCE_LABELS[scraper.lastNewsSource.source];
+    console.log('Leaving degraded mode: real news is available again');
+    await notifyAdmins(`✅ **Degraded mode cleared** after ${minutes} minutes: news is fetched${source ? ` from the ${source}` : ''} again.`);
+  }
+}
+
+// Function to send news updates to every subscribed channel
+async function sendNewsUpdates() {
+  try {
+    const subscriptions = subscriptionStore.getAllSubscriptions();
+    
+    if (subscriptions.length === 0) {
+      console.log('No subscribed news channels. Use !cssubscribe or /cssubscribe to add one');
+      return;
+    }
+    
+    // Placeholder items returned when every news source failed are never posted
+    const articles = (await scraper.getLatestNews()).filter(article => !article.synthetic);
+    await updateDegradedMode(articles.length === 0);
+    
+    if (articles.length === 0) {
+      console.log('No articles found');
+      return;
+    }
+    
+    // Keep at least as many posted articles as the latest fetch returned,
+    // otherwise older articles of the same fetch get pruned and reposted
+    const maxToKeep = Math.max(config.maxArticlesToKeep, articles.length);
+    
+    for (const { guildId, channelId } of subscriptions) {
+      await sendNewsToChannel(guildId, channelId, articles, maxToKeep);
+    }
+  } catch (error) {
+    console.error('Error sending news updates:', error);
+  }
+}
+
+// Function to send the articles a single channel hasn't received yet
+async function sendNewsToChannel(guildId, channelId, articles, maxToKeep) {
+  try {
+    // Filter to get only new articles we haven't posted to this channel yet
+    // Articles are matched by HLTV news ID or similar title, so a story found by another source or listed twice isn't reposted
+    const postedArticles = subscriptionStore.getPostedArticles(guildId, channelId);
+    const newArticles = articles.filter((article, index) => 
+      !postedArticles.some(postedArticle => isSameArticle(postedArticle, article)) &&
+      articles.findIndex(other => isSameArticle(other, article)) === index
+    );
+    
+    if (newArticles.length === 0) {
+      console.log(`No new articles to post in channel ${channelId}`);
+      return;
+    }
+    
+    // Apply the channel's include/exclude filters
+    const filters = subscriptionStore.getFilters(guildId, channelId);
+    const articlesToPost = newArticles.filter(article => articleMatchesFilters(article, filters));
+    
+    const channel = articlesToPost.length > 0 ? await fetchNewsChannel(channelId) : null;
+    if (articlesToPost.length > 0 && !channel) {
+      return;
+    }
+    
+    // Save posted articles before sending so a failed send can't cause duplicates later
+    // Filtered out articles are saved too, so removing a filter doesn't post old news
+    subscriptionStore.recordPostedArticles(guildId, channelId, newArticles, maxToKeep);
+    
+    if (articlesToPost.length === 0) {
+      console.log(`All ${newArticles.length} new articles were filtered out for channel ${channelId}`);
+      return;
+    }
+    
+    // Send new articles to Discord
+    if (config.logging.showUpdateChecks) {
+      console.log(`Sending ${articlesToPost.length} new articles to channel ${channelId}`);
+    }
+    
+    for (const article of articlesToPost) {
+      // Details are cached per article, so channels posting the same article share one fetch
+      const details = await scraper.getArticleDetails(article.url);
+      await channel.send({ embeds: [buildArticleEmbed(article, details)] });
+      
+      // Small delay to avoid rate limiting
+      await new Promise(resolve => setTimeout(resolve, config.delayBetweenMessages));
+    }
+  } catch (error) {
+    console.error(`Error sending news updates to channel ${channelId}:`, error);
+  }
+}
+
+// Function to build the summary reply for an article URL
+async function buildSummaryMessage(url) {
+  if (!/^https:\/\/www\.hltv\.org\/news\/\d+\//.test(url || '')) {
+    return 'Please provide the link of an HLTV.org article, e.g. `!cssummary https://www.hltv.org/news/12345/article-title`';
+  }
+  
+  const details = await scraper.getArticleDetails(url);
+  const summary = details ? summarizeArticle(details) : '';
+  if (!summary) {
+    return `Couldn't read the article at ${url}. Please try again later.`;
+  }
+  
+  const embed = new EmbedBuilder()
+    .setColor(config.embedColor)
+    .setTitle(details.title || 'Article summary')
+    .setURL(url)
+    .setDescription(`**TL;DR** ${summary}`)
+    .setFooter({ text: config.footerText });
+  
+  if (details.author) {
+    embed.setAuthor({ name: details.author });
+  }
+  if (details.publishedAt) {
+    embed.setTimestamp(new Date(details.publishedAt));
+  }
+  
+  return { embeds: [embed] };
+}
+
+// Match reminder settings, with defaults for keys missing from config.json
+const reminderSettings = {
+  defaultMinutesBefore: 15,
+  syncIntervalMinutes: 30,
+  ...config.matchReminders
+};
+
+// Scheduler for reminders before matches of followed teams
+const matchReminders = new MatchReminderScheduler(path.join(__dirname, 'cache', 'match_reminders.json'), {
+  sendReminder: sendMatchReminder
 });
 
-// Global variable to store the last articles we posted
-let lastPostedArticles = [];
+// Function to deliver a match reminder to a user by DM or to a channel
+async function sendMatchReminder(follow, reminder) {
+  const embed = new EmbedBuilder()
+    .setColor(config.embedColor)
+    .setTitle(`${reminder.team1} vs ${reminder.team2}`)
+    .setURL(reminder.matchUrl)
+    .setDescription(`Starts ${formatDiscordTime(reminder.startTime, 'R')} (${formatDiscordTime(reminder.startTime)})`)
+    .setTimestamp()
+    .setFooter({ text: 'Data from HLTV.org' });
+  
+  if (reminder.matchMeta) {
+    embed.addFields({ name: 'Format', value: reminder.matchMeta, inline: true });
+  }
+  
+  const content = `⏰ **${follow.team}** is about to play!`;
+  
+  if (follow.targetType === 'user') {
+    const user = await client.users.fetch(follow.targetId);
+    await user.send({ content, embeds: [embed] });
+  } else {
+    const channel = await fetchNewsChannel(follow.targetId);
+    if (!channel) return;
+    
+    await channel.send({
+      content: follow.roleId ? `<@&${follow.roleId}> ${content}` : content,
+      embeds: [embed],
+      allowedMentions: { roles: follow.roleId ? [follow.roleId] : [] }
+    });
+  }
+  
+  console.log(`Sent match reminder for ${follow.team} to ${follow.targetType} ${follow.targetId}`);
+}
 
-// Function to load previously posted articles from file
-function loadPostedArticles() {
+// Function to schedule reminders for the latest upcoming matches
+async function syncMatchReminders() {
   try {
-    const postedArticlesPath = path.join(__dirname, 'cache', 'posted_articles.json');
-    if (fs.existsSync(postedArticlesPath)) {
-      const data = JSON.parse(fs.readFileSync(postedArticlesPath, 'utf8'));
-      lastPostedArticles = data.articles || [];
-      console.log(`Loaded ${lastPostedArticles.length} previously posted articles from file`);
+    if (matchReminders.getFollows().length === 0) {
+      return;
+    }
+    
+    const matches = await scraper.getUpcomingMatches(100);
+    matchReminders.syncMatches(matches);
+  } catch (error) {
+    console.error('Error syncing match reminders:', error);
+  }
+}
+
+// Function to follow a team for the invoking user, or for a channel (admin only)
+async function followTeam({ team, minutesBefore, channel, role, userId, guildId, member }) {
+  team = (team || '').trim();
+  if (!team) {
+    return 'Usage: `!csfollow <team> [minutes] [#channel] [@role]`';
+  }
+  
+  minutesBefore = minutesBefore || reminderSettings.defaultMinutesBefore;
+  if (!Number.isInteger(minutesBefore) || minutesBefore < 1 || minutesBefore > 1440) {
+    return '❌ Reminder time must be between 1 and 1440 minutes.';
+  }
+  
+  if (channel) {
+    if (!guildId || !isAdmin(member)) {
+      return '❌ Only server administrators can set up match reminders for a channel.';
+    }
+    if (!channel.isTextBased()) {
+      return '❌ Match reminders can only be posted in text channels.';
+    }
+    
+    matchReminders.follow({
+      team,
+      targetType: 'channel',
+      targetId: channel.id,
+      guildId,
+      roleId: role ? role.id : null,
+      minutesBefore,
+      createdBy: userId
+    });
+    await syncMatchReminders();
+    return `✅ <#${channel.id}> will be reminded ${minutesBefore} minutes before **${team}** plays${role ? ` (pinging <@&${role.id}>)` : ''}.`;
+  }
+  
+  matchReminders.follow({
+    team,
+    targetType: 'user',
+    targetId: userId,
+    guildId,
+    minutesBefore,
+    createdBy: userId
+  });
+  await syncMatchReminders();
+  return `✅ You will get a DM ${minutesBefore} minutes before **${team}** plays.`;
+}
+
+// Function to unfollow a team for the invoking user, or for a channel (admin only)
+function unfollowTeam({ team, channel, userId, guildId, member }) {
+  team = (team || '').trim();
+  if (!team) {
+    return 'Usage: `!csunfollow <team> [#channel]`';
+  }
+  
+  if (channel) {
+    if (!guildId || !isAdmin(member)) {
+      return '❌ Only server administrators can remove match reminders of a channel.';
+    }
+    return matchReminders.unfollow('channel', channel.id, team)
+      ? `✅ <#${channel.id}> will no longer be reminded about **${team}** matches.`
+      : `<#${channel.id}> doesn't follow **${team}**.`;
+  }
+  
+  return matchReminders.unfollow('user', userId, team)
+    ? `✅ You will no longer be reminded about **${team}** matches.`
+    : `You don't follow **${team}**.`;
+}
+
+// Function to build the list of a user's follows and the follows of a guild's channels
+function buildFollowsMessage(userId, guildId) {
+  const userFollows = matchReminders.getFollows(follow => follow.targetType === 'user' && follow.targetId === userId);
+  const channelFollows = guildId
+    ? matchReminders.getFollows(follow => follow.targetType === 'channel' && follow.guildId === guildId)
+    : [];
+  
+  if (userFollows.length === 0 && channelFollows.length === 0) {
+    return 'No teams followed yet. Use `!csfollow <team>` or `/csfollow` to get match reminders.';
+  }
+  
+  const embed = new EmbedBuilder()
+    .setColor(config.embedColor)
+    .setTitle('Followed Teams')
+    .setFooter({ text: config.footerText });
+  
+  if (userFollows.length > 0) {
+    embed.addFields({
+      name: 'Your DM reminders',
+      value: userFollows.map(follow => `**${follow.team}** - ${follow.minutesBefore} min before`).join('\n').slice(0, 1024)
+    });
+  }
+  
+  if (channelFollows.length > 0) {
+    embed.addFields({
+      name: 'Channel reminders',
+      value: channelFollows
+        .map(follow => `**${follow.team}** in <#${follow.targetId}> - ${follow.minutesBefore} min before${follow.roleId ? ` (<@&${follow.roleId}>)` : ''}`)
+        .join('\n')
+        .slice(0, 1024)
+    });
+  }
+  
+  return { embeds: [embed] };
+}
+
+// Match result settings, with defaults for keys missing from config.json
+const resultSettings = {
+  checkIntervalMinutes: 30,
+  ...config.matchResults
+};
+
+// Function to get the key used to remember which results were posted
+function getResultKey(result) {
+  return result.matchId || result.matchUrl;
+}
+
+// Function to format the score line of a result, e.g. "Vitality 2 - 1 FaZe"
+function formatResultScore(result) {
+  return `${result.team1} ${result.team1Score} - ${result.team2Score} ${result.team2}`;
+}
+
+// Function to format the maps of a result, e.g. "Mirage 13-9, Nuke 7-13"
+function formatResultMaps(result) {
+  if (result.forfeit) {
+    return 'Forfeit';
+  }
+  if (!result.maps || result.maps.length === 0) {
+    return result.format;
+  }
+  
+  return result.maps.map(map => `${map.name} ${map.team1Score}-${map.team2Score}`).join(', ');
+}
+
+// Function to build the embed for a single match result
+function buildResultEmbed(result) {
+  const embed = new EmbedBuilder()
+    .setColor(config.embedColor)
+    .setTitle(formatResultScore(result))
+    .setURL(result.matchUrl)
+    .setDescription(`🏆 **${result.winner}** won`)
+    .setTimestamp(result.playedAt ? new Date(result.playedAt) : new Date())
+    .setFooter({ text: 'Data from HLTV.org' });
+  
+  if (result.event) {
+    embed.addFields({ name: 'Event', value: result.event, inline: true });
+  }
+  embed.addFields({ name: 'Maps', value: formatResultMaps(result), inline: true });
+  if (result.playedAt) {
+    embed.addFields({ name: 'Played', value: formatDiscordTime(result.playedAt), inline: true });
+  }
+  
+  return embed;
+}
+
+// Function to build the recent results reply, optionally for a single team
+async function buildResultsMessage(team = '') {
+  try {
+    let results = await scraper.getMatchResults(100);
+    
+    const search = normalizeTeamName(team);
+    if (search) {
+      results = results.filter(result => 
+        normalizeTeamName(result.team1).includes(search) || normalizeTeamName(result.team2).includes(search)
+      );
+    }
+    
+    if (results.length === 0) {
+      return team ? `No recent results found for **${team}** on HLTV.org` : 'No recent results found on HLTV.org';
+    }
+    
+    const embed = new EmbedBuilder()
+      .setColor(config.embedColor)
+      .setTitle(team ? `Recent CS Results - ${team}` : 'Recent CS Results')
+      .setURL('https://www.hltv.org/results')
+      .setTimestamp()
+      .setFooter({ text: 'Data from HLTV.org' });
+    
+    results.slice(0, 10).forEach(result => {
+      embed.addFields({
+        name: formatResultScore(result),
+        value: `🏆 ${result.event || 'Unknown event'}\n🗺️ ${formatResultMaps(result)}\n${result.playedAt ? `🕒 ${formatDiscordTime(result.playedAt, 'R')}\n` : ''}🔗 [Match Details](${result.matchUrl})`
+      });
+    });
+    
+    return { embeds: [embed] };
+  } catch (error) {
+    console.error('Error sending match results:', error);
+    return 'Failed to retrieve match results. Please try again later.';
+  }
+}
+
+// Function to turn automatic result posting on or off for a subscribed channel
+// Existing results are marked as posted when it is turned on
+async function setAutoResults(guildId, channelId, enabled) {
+  if (!subscriptionStore.getSubscription(guildId, channelId)) {
+    return `<#${channelId}> is not subscribed to CS news updates. Subscribe it first with \`!cssubscribe\`.`;
+  }
+  
+  let seedKeys = [];
+  if (enabled) {
+    const results = await scraper.getMatchResults(100);
+    seedKeys = results.map(getResultKey);
+  }
+  
+  subscriptionStore.setResultsEnabled(guildId, channelId, enabled, seedKeys);
+  
+  if (!enabled) {
+    return `✅ <#${channelId}> will no longer receive match results.`;
+  }
+  
+  const followCount = matchReminders.getFollows(follow => follow.targetType === 'channel' && follow.targetId === channelId).length;
+  return `✅ <#${channelId}> will receive results of the teams it follows (currently ${followCount}). Add teams with \`!csfollow <team> #channel\`.`;
+}
+
+// Function to post new results of followed teams to channels with auto results enabled
+async function checkMatchResults() {
+  try {
+    const subscriptions = subscriptionStore.getAllSubscriptions()
+      .filter(({ subscription }) => subscription.postResults);
+    
+    if (subscriptions.length === 0) {
+      return;
+    }
+    
+    const results = await scraper.getMatchResults(100);
+    if (results.length === 0) {
+      return;
+    }
+    
+    const maxToKeep = Math.max(100, results.length);
+    
+    for (const { guildId, channelId } of subscriptions) {
+      const postedKeys = subscriptionStore.getPostedResults(guildId, channelId);
+      const newResults = results.filter(result => !postedKeys.includes(getResultKey(result)));
+      if (newResults.length === 0) continue;
+      
+      const followedTeams = matchReminders
+        .getFollows(follow => follow.targetType === 'channel' && follow.targetId === channelId)
+        .map(follow => follow.team);
+      const resultsToPost = newResults.filter(result => 
+        followedTeams.some(team => isSameTeam(team, result.team1) || isSameTeam(team, result.team2))
+      );
+      
+      // Results of teams that aren't followed are recorded too, so following a team later doesn't post old results
+      subscriptionStore.recordPostedResults(guildId, channelId, newResults.map(getResultKey), maxToKeep);
+      
+      if (resultsToPost.length === 0) continue;
       
-      // If the file was just created and is empty, initialize it properly
-      if (lastPostedArticles.length === 0) {
-        console.log('No previous articles found, initializing with empty array');
+      const channel = await fetchNewsChannel(channelId);
+      if (!channel) continue;
+      
+      for (const result of resultsToPost) {
+        // The results page only lists the maps of single map matches, forfeits have none
+        if (result.format !== 'bo1' && !result.forfeit) {
+          try {
+            result.maps = await scraper.getMatchMaps(result.matchUrl);
+          } catch (error) {
+            console.error(`Error fetching maps of ${result.matchUrl}:`, error.message);
+          }
+        }
+        
+        await channel.send({ embeds: [buildResultEmbed(result)] });
+        await new Promise(resolve => setTimeout(resolve, config.delayBetweenMessages));
       }
-    } else {
-      console.log('No posted articles file found, will create one when articles are posted');
+      
+      console.log(`Posted ${resultsToPost.length} match results to channel ${channelId}`);
     }
   } catch (error) {
-    console.error('Error loading posted articles from file:', error);
-    // Initialize with empty array if there's an error
-    lastPostedArticles = [];
+    console.error('Error posting match results:', error);
   }
 }
 
-// Function to save posted articles to file
-function savePostedArticles() {
+// Transfer settings, with defaults for keys missing from config.json
+const transferSettings = {
+  checkIntervalMinutes: 30,
+  ...config.transfers
+};
+
+// Function to build the embed for a single transfer
+function buildTransferEmbed(transfer) {
+  const embed = new EmbedBuilder()
+    .setColor(config.embedColor)
+    .setTitle(`🔁 ${transfer.player}`)
+    .setDescription(transfer.description || `${transfer.player} moves from ${transfer.fromTeam || 'no team'} to ${transfer.toTeam || 'no team'}`)
+    .addFields(
+      { name: 'From', value: transfer.fromTeam || 'No team', inline: true },
+      { name: 'To', value: transfer.toTeam || 'No team', inline: true }
+    )
+    .setTimestamp(transfer.date ? new Date(transfer.date) : new Date())
+    .setFooter({ text: 'Data from HLTV.org' });
+  
+  if (transfer.playerUrl) {
+    embed.setURL(transfer.playerUrl);
+  }
+  
+  return embed;
+}
+
+// Function to build the latest transfers reply
+async function buildTransfersMessage() {
   try {
-    const postedArticlesPath = path.join(__dirname, 'cache', 'posted_articles.json');
+    const transfers = await scraper.getTransfers();
     
-    // Implement a cleanup to prevent the file from growing too large over time
-    // Keep only the most recent X articles in the file
-    if (lastPostedArticles.length > config.maxArticlesToKeep * 2) {
-      lastPostedArticles = lastPostedArticles.slice(lastPostedArticles.length - config.maxArticlesToKeep * 2);
-      console.log(`Pruned posted articles list to ${lastPostedArticles.length} entries`);
+    if (transfers.length === 0) {
+      return 'No transfers found on HLTV.org. Please try again later.';
     }
     
-    const data = {
-      articles: lastPostedArticles
-    };
+    const lines = transfers.slice(0, 15).map(transfer => {
+      const date = transfer.date ? `${formatDiscordTime(transfer.date, 'd')} ` : '';
+      return `${date}**${transfer.player}**: ${transfer.fromTeam || 'No team'} → ${transfer.toTeam || 'No team'}`;
+    });
     
-    fs.writeFileSync(postedArticlesPath, JSON.stringify(data, null, 2));
-    console.log(`Saved ${lastPostedArticles.length} posted articles to file`);
+    const embed = new EmbedBuilder()
+      .setColor(config.embedColor)
+      .setTitle('CS Transfers')
+      .setURL('https://www.hltv.org/transfers')
+      .setDescription(lines.join('\n'))
+      .setTimestamp()
+      .setFooter({ text: 'Data from HLTV.org' });
+    
+    return { embeds: [embed] };
   } catch (error) {
-    console.error('Error saving posted articles to file:', error);
+    console.error('Error building transfers:', error);
+    return 'Failed to retrieve transfers. Please try again later.';
   }
 }
 
-// Function to send news updates to Discord
-async function sendNewsUpdates() {
+// Function to post new transfers to channels subscribed to transfers
+async function checkTransfers() {
   try {
-    const channelId = process.env.CHANNEL_ID;
+    const subscriptions = subscriptionStore.getAllTransferSubscriptions();
     
-    // Check if channel ID is provided
-    if (!channelId) {
-      console.error('No channel ID provided in .env file');
+    if (subscriptions.length === 0) {
       return;
     }
     
-    let channel;
-    try {
-      channel = await client.channels.fetch(channelId);
-    } catch (error) {
-      if (error.code === 50001) {
-        console.error(`Missing access to channel ${channelId}. Make sure the bot has proper permissions.`);
-        console.error('See bot_permissions_guide.md for help with setting up permissions.');
-      } else {
-        console.error(`Error fetching channel: ${error.message}`);
+    const transfers = await scraper.getTransfers();
+    if (transfers.length === 0) {
+      return;
+    }
+    
+    const maxToKeep = Math.max(100, transfers.length);
+    
+    for (const { guildId, channelId } of subscriptions) {
+      const postedKeys = subscriptionStore.getPostedTransfers(guildId, channelId);
+      const newTransfers = transfers.filter(transfer => !postedKeys.includes(transfer.transferId));
+      if (newTransfers.length === 0) continue;
+      
+      const channel = await fetchNewsChannel(channelId);
+      if (!channel) continue;
+      
+      // Save posted transfers before sending so a failed send can't cause duplicates later
+      subscriptionStore.recordPostedTransfers(guildId, channelId, newTransfers.map(transfer => transfer.transferId), maxToKeep);
+      
+      // Oldest first, so the channel reads in chronological order
+      for (const transfer of [...newTransfers].reverse()) {
+        await channel.send({ embeds: [buildTransferEmbed(transfer)] });
+        await new Promise(resolve => setTimeout(resolve, config.delayBetweenMessages));
       }
+      
+      console.log(`Posted ${newTransfers.length} transfers to channel ${channelId}`);
+    }
+  } catch (error) {
+    console.error('Error posting transfers:', error);
+  }
+}
+
+// Ranking movers settings, with defaults for keys missing from config.json
+const moversSettings = {
+  autoPost: true,
+  checkIntervalMinutes: 60,
+  topTeams: 30,
+  maxPerSection: 10,
+  ...config.rankingMovers
+};
+
+// Function to format a signed change, e.g. "+12" or "-3"
+function formatChange(value) {
+  return value > 0 ? `+${value}` : `${value}`;
+}
+
+// Function to build the embed comparing two weekly rankings
+function buildMoversEmbed(report) {
+  const limit = moversSettings.maxPerSection;
+  const formatMove = team => {
+    const arrow = team.rankChange > 0 ? '▲' : '▼';
+    const points = team.pointsChange !== null ? ` (${formatChange(team.pointsChange)} pts)` : '';
+    return `#${team.rank} ${team.name} ${arrow}${Math.abs(team.rankChange)}${points}`;
+  };
+  const formatList = (teams, format) => {
+    if (teams.length === 0) return 'None';
+    const lines = teams.slice(0, limit).map(format);
+    if (teams.length > limit) lines.push(`...and ${teams.length - limit} more`);
+    return lines.join('\n');
+  };
+  
+  return new EmbedBuilder()
+    .setColor(config.embedColor)
+    .setTitle('CS Ranking Movers')
+    .setURL('https://www.hltv.org/ranking/teams')
+    .setDescription(`Top ${moversSettings.topTeams} of the HLTV.org ranking of ${report.currentDate} compared to ${report.previousDate}`)
+    .addFields(
+      { name: '📈 Climbed', value: formatList(report.climbers, formatMove), inline: false },
+      { name: '📉 Fell', value: formatList(report.fallers, formatMove), inline: false },
+      { name: '🆕 New Entries', value: formatList(report.newEntries, team => `#${team.rank} ${team.name}`), inline: true },
+      { name: '👋 Dropped Out', value: formatList(report.dropouts, team => `${team.name} (was #${team.rank}${team.currentRank ? `, now #${team.currentRank}` : ''})`), inline: true }
+    )
+    .setTimestamp()
+    .setFooter({ text: 'Data from HLTV.org' });
+}
+
+// Function to compare the latest stored ranking with the one before it
+// Returns null if fewer than two weekly snapshots are stored
+function getLatestMoversReport() {
+  const history = scraper.rankingHistory;
+  const dates = history.getDates();
+  if (dates.length < 2) {
+    return null;
+  }
+  
+  const current = history.getSnapshot(dates[dates.length - 1]);
+  return history.compare(history.getPreviousSnapshot(current.date), current, moversSettings.topTeams);
+}
+
+// Function to keep only the movers a channel's filters let through
+// Each team is matched like an article titled with its name; returns null if no team is left
+function filterMoversReport(report, filters) {
+  const matches = team => articleMatchesFilters({ title: team.name }, filters);
+  const filtered = {
+    ...report,
+    climbers: report.climbers.filter(matches),
+    fallers: report.fallers.filter(matches),
+    newEntries: report.newEntries.filter(matches),
+    dropouts: report.dropouts.filter(matches)
+  };
+  
+  const teamCount = filtered.climbers.length + filtered.fallers.length + filtered.newEntries.length + filtered.dropouts.length;
+  return teamCount > 0 ? filtered : null;
+}
+
+// Function to build the ranking movers reply
+async function buildMoversMessage() {
+  try {
+    // Make sure the snapshot of the current ranking is stored
+    await scraper.getTopTeams(1);
+    
+    const report = getLatestMoversReport();
+    if (!report) {
+      return 'Not enough ranking history yet. Movers are shown once two weekly rankings have been stored.';
+    }
+    
+    return { embeds: [buildMoversEmbed(report)] };
+  } catch (error) {
+    console.error('Error building ranking movers:', error);
+    return 'Failed to compare the team rankings. Please try again later.';
+  }
+}
+
+// Function to check for a new weekly ranking and post the movers to subscribed channels
+async function checkRankingUpdate() {
+  try {
+    const history = scraper.rankingHistory;
+    
+    // Refresh until the ranking of this week is stored, HLTV publishes it on Mondays
+    if (!history.getSnapshot(getRankingMonday())) {
+      await scraper.getTopTeams(1, { forceRefresh: true });
+    }
+    
+    const report = getLatestMoversReport();
+    if (!report || history.isAnnounced(report.currentDate)) {
       return;
     }
     
-    if (!channel) {
-      console.error(`Channel with ID ${channelId} not found`);
-      return;
+    // Don't announce an old ranking after the bot was offline for a while
+    const ageDays = (Date.now() - new Date(report.currentDate).getTime()) / (24 * 60 * 60 * 1000);
+    if (moversSettings.autoPost && ageDays < 7) {
+      for (const { guildId, channelId } of subscriptionStore.getAllSubscriptions()) {
+        // Channels with filters only get the movers they are interested in
+        const channelReport = filterMoversReport(report, subscriptionStore.getFilters(guildId, channelId));
+        if (!channelReport) continue;
+        
+        const channel = await fetchNewsChannel(channelId);
+        if (!channel) continue;
+        
+        await channel.send({ embeds: [buildMoversEmbed(channelReport)] });
+        await new Promise(resolve => setTimeout(resolve, config.delayBetweenMessages));
+      }
+      console.log(`Posted ranking movers of ${report.currentDate}`);
+    }
+    
+    history.markAnnounced(report.currentDate);
+  } catch (error) {
+    console.error('Error checking for a new team ranking:', error);
+  }
+}
+
+// Function to draw a text sparkline, unknown values are shown as dots
+// With invert set, lower values get higher bars (e.g. rank 1 is the top)
+function buildSparkline(values, invert = false) {
+  const bars = '▁▂▃▄▅▆▇█';
+  const known = values.filter(value => value !== null);
+  if (known.length === 0) {
+    return '';
+  }
+  
+  const min = Math.min(...known);
+  const max = Math.max(...known);
+  return values.map(value => {
+    if (value === null) return '·';
+    if (max === min) return bars[3];
+    const level = invert ? max - value : value - min;
+    return bars[Math.round((level / (max - min)) * (bars.length - 1))];
+  }).join('');
+}
+
+// Function to build the ranking trend of a team over the last weeks
+// Weeks missing from the local ranking history are backfilled from HLTV.org first
+async function buildRankHistoryMessage(teamQuery, weeks = 12) {
+  if (!teamQuery) {
+    return 'Usage: `!csrankhistory <team> [weeks]` (e.g. `!csrankhistory vitality 12`)';
+  }
+  
+  try {
+    const dates = await scraper.backfillRankingHistory(Math.min(Math.max(weeks, 2), 26));
+    const history = scraper.rankingHistory;
+    
+    const teamNames = [...new Set(dates
+      .map(date => history.getSnapshot(date))
+      .filter(Boolean)
+      .flatMap(snapshot => snapshot.teams.map(team => team.name)))];
+    const team = resolveTeam(teamQuery, teamNames.map(name => ({ name })));
+    
+    if (!team) {
+      return `❌ "${teamQuery}" wasn't ranked in the last ${dates.length} weeks.`;
+    }
+    
+    const weeklyRanks = history.getTeamHistory(team.name, dates);
+    const ranked = weeklyRanks.filter(week => week.rank !== null);
+    const first = ranked[0];
+    const last = ranked[ranked.length - 1];
+    
+    const lines = weeklyRanks.map(week => {
+      if (!week.stored) return `${week.date}      ?`;
+      if (week.rank === null) return `${week.date}      -`;
+      return `${week.date}  ${`#${week.rank}`.padStart(5)}  ${week.points !== null ? `${week.points} pts` : ''}`;
+    });
+    
+    const embed = new EmbedBuilder()
+      .setColor(config.embedColor)
+      .setTitle(`${team.name} Ranking History`)
+      .setURL('https://www.hltv.org/ranking/teams')
+      .setDescription(`\`\`\`\n${lines.join('\n')}\n\`\`\``)
+      .addFields(
+        { name: 'Rank', value: `\`${buildSparkline(weeklyRanks.map(week => week.rank), true)}\` #${first.rank} → #${last.rank}`, inline: false },
+        { name: 'Points', value: `\`${buildSparkline(weeklyRanks.map(week => week.points))}\` ${first.points || '?'} → ${last.points || '?'}`, inline: false }
+      )
+      .setTimestamp()
+      .setFooter({ text: '- = unranked, ? = ranking unavailable. Data from HLTV.org' });
+    
+    return { embeds: [embed] };
+  } catch (error) {
+    console.error('Error building ranking history:', error);
+    return 'Failed to retrieve the ranking history. Please try again later.';
+  }
+}
+
+// Live match settings, with defaults for keys missing from config.json
+const liveSettings = {
+  pollIntervalSeconds: 120,
+  maxTracked: 3,
+  ...config.liveMatches
+};
+
+// Tracker that keeps live match status messages up to date
+const liveTracker = new LiveMatchTracker(path.join(__dirname, 'cache', 'live_matches.json'), {
+  fetchStatus: matchUrl => scraper.getMatchStatus(matchUrl),
+  updateMessage: updateLiveStatusMessage,
+  finishMessage: finishLiveStatusMessage,
+  pollIntervalMs: liveSettings.pollIntervalSeconds * 1000
+});
+
+// Function to build the status embed of a live match
+function buildLiveStatusEmbed(status) {
+  const isOver = status.status === 'over';
+  const team1 = status.team1 || 'Team 1';
+  const team2 = status.team2 || 'Team 2';
+  const seriesScore = status.team1MapsWon !== null && status.team1MapsWon !== undefined
+    ? `${status.team1MapsWon} - ${status.team2MapsWon}`
+    : 'vs';
+  
+  const embed = new EmbedBuilder()
+    .setColor(isOver ? '#808080' : '#FF0000')
+    .setTitle(`${isOver ? '🏁' : '🔴'} ${team1} ${seriesScore} ${team2}`)
+    .setURL(status.matchUrl)
+    .setDescription(isOver ? 'Match over' : 'Live now')
+    .setTimestamp()
+    .setFooter({ text: isOver ? 'Data from HLTV.org' : `Data from HLTV.org • Updates every ${liveSettings.pollIntervalSeconds} seconds` });
+  
+  if (status.event) {
+    embed.addFields({ name: 'Event', value: status.event, inline: true });
+  }
+  if (status.team1CurrentScore !== null && status.team1CurrentScore !== undefined) {
+    embed.addFields({ name: 'Current map', value: `${status.team1CurrentScore} - ${status.team2CurrentScore}`, inline: true });
+  }
+  if (status.maps && status.maps.length > 0) {
+    embed.addFields({
+      name: 'Maps',
+      value: status.maps.map(map => `${map.name}: ${map.team1Score} - ${map.team2Score}`).join('\n')
+    });
+  }
+  
+  return embed;
+}
+
+// Function to fetch the status message of a tracked match, returns null if it was deleted
+async function fetchLiveStatusMessage(entry) {
+  const channel = await fetchNewsChannel(entry.channelId);
+  if (!channel) return null;
+  
+  try {
+    return await channel.messages.fetch(entry.messageId);
+  } catch (error) {
+    // 10008 = Unknown Message
+    if (error.code === 10008) return null;
+    throw error;
+  }
+}
+
+// Function to edit the status message of a tracked match with its latest state
+async function updateLiveStatusMessage(entry, status) {
+  const message = await fetchLiveStatusMessage(entry);
+  if (!message) return false;
+  
+  await message.edit({ embeds: [buildLiveStatusEmbed(status)] });
+  return true;
+}
+
+// Function to unpin the status message once its match is over
+async function finishLiveStatusMessage(entry) {
+  try {
+    const message = await fetchLiveStatusMessage(entry);
+    if (message && message.pinned) {
+      await message.unpin();
+    }
+  } catch (error) {
+    console.log('Could not unpin live match message:', error.message);
+  }
+}
+
+// Function to build the list of live matches
+async function buildLiveMatchesMessage() {
+  try {
+    const matches = await scraper.getLiveMatches();
+    
+    if (matches.length === 0) {
+      return 'No CS matches are live on HLTV.org right now.';
+    }
+    
+    const embed = new EmbedBuilder()
+      .setColor('#FF0000')
+      .setTitle('🔴 Live CS Matches')
+      .setURL('https://www.hltv.org/matches')
+      .setDescription('Use `!cslive track <number>` to pin a status message that follows the score.')
+      .setTimestamp()
+      .setFooter({ text: 'Data from HLTV.org' });
+    
+    matches.slice(0, 25).forEach((match, index) => {
+      const score = match.team1MapsWon !== null ? ` (${match.team1MapsWon} - ${match.team2MapsWon})` : '';
+      embed.addFields({
+        name: `${index + 1}. ${match.team1} vs ${match.team2}${score}`,
+        value: `🏆 ${match.event || 'Unknown event'} • ${match.matchMeta}\n🔗 [Match Details](${match.matchUrl})`
+      });
+    });
+    
+    return { embeds: [embed] };
+  } catch (error) {
+    console.error('Error sending live matches:', error);
+    return 'Failed to retrieve live matches. Please try again later.';
+  }
+}
+
+// Function to post and pin a status message for a live match (admin only)
+async function trackLiveMatch({ number, channel, guildId, member }) {
+  if (!guildId || !isAdmin(member)) {
+    return '❌ Only server administrators can pin live match messages.';
+  }
+  if (!channel || !channel.isTextBased()) {
+    return '❌ Live match messages can only be posted in text channels.';
+  }
+  if (liveTracker.count() >= liveSettings.maxTracked) {
+    return `❌ Already tracking ${liveSettings.maxTracked} live matches. Stop one with \`!cslive stop\` first.`;
+  }
+  
+  let matches;
+  try {
+    matches = await scraper.getLiveMatches();
+  } catch (error) {
+    return 'Failed to retrieve live matches. Please try again later.';
+  }
+  
+  const match = matches[number - 1];
+  if (!match) {
+    return `❌ There is no live match #${number}. Use \`!cslive\` to see the live matches.`;
+  }
+  if (liveTracker.getTracked(match, channel.id)) {
+    return `**${match.team1} vs ${match.team2}** is already tracked in <#${channel.id}>.`;
+  }
+  
+  const message = await channel.send({ embeds: [buildLiveStatusEmbed({ ...match, status: 'live', maps: [] })] });
+  try {
+    await message.pin();
+  } catch (error) {
+    console.log('Could not pin live match message - bot may lack ManageMessages permission:', error.message);
+  }
+  
+  liveTracker.track(match, channel.id, message.id);
+  return `✅ Tracking **${match.team1} vs ${match.team2}** in <#${channel.id}> until the match is over.`;
+}
+
+// Function to stop updating the live match messages of a channel (admin only)
+function stopLiveTracking({ channelId, guildId, member }) {
+  if (!guildId || !isAdmin(member)) {
+    return '❌ Only server administrators can stop live match messages.';
+  }
+  
+  const removed = liveTracker.untrackChannel(channelId);
+  return removed.length > 0
+    ? `✅ Stopped updating ${removed.length} live match message(s) in <#${channelId}>.`
+    : `No live matches are tracked in <#${channelId}>.`;
+}
+
+// Function to build the upcoming matches reply
+async function buildUpcomingMatchesMessage(limit = 5) {
+  try {
+    const matches = await scraper.getUpcomingMatches(limit);
+    
+    if (matches.length === 0) {
+      return 'No upcoming matches found on HLTV.org';
+    }
+    if (matches.every(match => match.synthetic)) {
+      return 'Couldn\'t fetch upcoming matches from HLTV.org right now. Please try again later.';
+    }
+    
+    const embed = new EmbedBuilder()
+      .setColor(config.embedColor)
+      .setTitle('Upcoming CS Matches')
+      .setURL('https://www.hltv.org/matches')
+      .setDescription('Here are the upcoming Counter-Strike matches:')
+      .setTimestamp()
+      .setFooter({ text: 'Data from HLTV.org' });
+    
+    matches.forEach((match, index) => {
+      // Discord shows the start time in each reader's timezone, HLTV's text is the fallback
+      const time = match.startTime ? `${formatDiscordTime(match.startTime)} (${formatDiscordTime(match.startTime, 'R')})` : match.matchTime;
+      embed.addFields({ 
+        name: `Match ${index + 1}: ${match.team1} vs ${match.team2}`,
+        value: `⏰ ${time}\n🏆 ${match.matchMeta}\n🔗 [Match Details](${match.matchUrl})`
+      });
+    });
+    
+    return { embeds: [embed] };
+  } catch (error) {
+    console.error('Error sending upcoming matches:', error);
+    return 'Failed to retrieve upcoming matches. Please try again later.';
+  }
+}
+
+// Function to build the current team rankings reply
+async function buildTopTeamsMessage(limit = 10) {
+  try {
+    const teams = await scraper.getTopTeams(limit);
+    
+    if (teams.length === 0) {
+      return 'No team ranking data found on HLTV.org';
+    }
+    if (teams.every(team => team.synthetic)) {
+      return 'Couldn\'t fetch the team rankings from HLTV.org right now. Please try again later.';
+    }
+    
+    const embed = new EmbedBuilder()
+      .setColor(config.embedColor)
+      .setTitle('CS Team Rankings')
+      .setURL('https://www.hltv.org/ranking/teams')
+      .setDescription('Current HLTV.org team rankings:')
+      .setTimestamp()
+      .setFooter({ text: 'Data from HLTV.org' });
+    
+    teams.forEach(team => {
+      embed.addFields({ 
+        name: `#${team.rank} ${team.name}`, 
+        value: `Points: ${team.points}`,
+        inline: true
+      });
+    });
+    
+    return { embeds: [embed] };
+  } catch (error) {
+    console.error('Error sending team rankings:', error);
+    return 'Failed to retrieve team rankings. Please try again later.';
+  }
+}
+
+// Function to format a team profile match line, e.g. "Vitality 2-1 MOUZ"
+function formatProfileMatch(match) {
+  const date = match.date ? ` (${formatDiscordTime(match.date, 'd')})` : '';
+  const score = match.team1Score !== undefined ? ` ${match.team1Score}-${match.team2Score} ` : ' vs ';
+  return `[${match.team1}${score}${match.team2}](${match.matchUrl})${date}`;
+}
+
+// Function to build the team profile reply, the name is fuzzy matched (e.g. "navi")
+async function buildTeamProfileMessage(name) {
+  if (!name) {
+    return 'Usage: `!csteam <team name>` (e.g. `!csteam navi`)';
+  }
+  
+  try {
+    const profile = await scraper.getTeamProfile(name);
+    
+    if (!profile) {
+      return `❌ Couldn't find a team matching "${name}" on HLTV.org.`;
+    }
+    
+    const embed = new EmbedBuilder()
+      .setColor(config.embedColor)
+      .setTitle(profile.name)
+      .setURL(profile.teamUrl)
+      .setTimestamp()
+      .setFooter({ text: 'Data from HLTV.org' });
+    
+    if (profile.country) {
+      embed.setDescription(profile.country);
+    }
+    
+    embed.addFields(
+      { name: 'World Ranking', value: profile.worldRanking || 'Unranked', inline: true },
+      { name: 'Coach', value: profile.coach || 'Unknown', inline: true },
+      { name: 'Roster', value: profile.roster.length > 0 ? profile.roster.join(', ') : 'Unknown', inline: false },
+      { name: 'Recent Results', value: profile.recentResults.map(formatProfileMatch).join('\n') || 'No recent results', inline: false },
+      { name: 'Upcoming Matches', value: profile.upcomingMatches.map(formatProfileMatch).join('\n') || 'No upcoming matches', inline: false }
+    );
+    
+    return { embeds: [embed] };
+  } catch (error) {
+    console.error('Error building team profile:', error);
+    return 'Failed to retrieve the team profile. Please try again later.';
+  }
+}
+
+// Function to build the player profile reply
+async function buildPlayerProfileMessage(nick) {
+  if (!nick) {
+    return 'Usage: `!csplayer <nickname>` (e.g. `!csplayer ZywOo`)';
+  }
+  
+  try {
+    const profile = await scraper.getPlayerProfile(nick);
+    
+    if (!profile) {
+      return `❌ Couldn't find a player matching "${nick}" on HLTV.org.`;
     }
     
-    // Check if the channel is a text channel
-    if (!channel.isTextBased()) {
-      console.error(`Channel with ID ${channelId} is not a text channel`);
-      return;
-    }
-      const articles = await scraper.getLatestNews();
+    const embed = new EmbedBuilder()
+      .setColor(config.embedColor)
+      .setTitle(profile.nickname)
+      .setURL(profile.playerUrl)
+      .setTimestamp()
+      .setFooter({ text: 'Data from HLTV.org' });
     
-    if (articles.length === 0) {
-      console.log('No articles found');
-      return;
+    if (profile.realName) {
+      embed.setDescription(profile.realName);
     }
     
-    // Filter to get only new articles we haven't posted yet
-    // We also need to handle cached articles specially to prevent reposting after restart
-    const newArticles = articles.filter(article => {
-      // If the article is from cache and the bot just restarted, 
-      // we want to make sure it hasn't been posted before
-      if (article.fromCache) {
-        return !lastPostedArticles.some(postedArticle => postedArticle.url === article.url);
-      }
-      // For fresh articles (not from cache), check as usual
-      return !lastPostedArticles.some(postedArticle => postedArticle.url === article.url);
-    });
+    embed.addFields(
+      { name: 'Team', value: profile.team ? `[${profile.team}](${profile.teamUrl})` : 'No team', inline: true },
+      { name: 'Country', value: profile.country || 'Unknown', inline: true }
+    );
     
-    if (newArticles.length === 0) {
-      console.log('No new articles to post');
-      return;
-    }    // Update lastPostedArticles with the new ones
-    // Remove the fromCache flag when storing in lastPostedArticles
-    const cleanNewArticles = newArticles.map(article => {
-      const { fromCache, ...rest } = article;
-      return rest;
+    const { stats } = profile;
+    if (stats && stats.rating) {
+      const details = [
+        `Rating: **${stats.rating}**`,
+        stats.mapsPlayed && `Maps: ${stats.mapsPlayed}`,
+        stats.kdRatio && `K/D: ${stats.kdRatio}`,
+        stats.adr && `ADR: ${stats.adr}`,
+        stats.kast && `KAST: ${stats.kast}`
+      ].filter(Boolean);
+      embed.addFields({ name: `Last 3 Months (${stats.period.startDate} to ${stats.period.endDate})`, value: details.join('\n'), inline: false });
+    } else {
+      embed.addFields({ name: 'Last 3 Months', value: 'No stats available', inline: false });
+    }
+    
+    embed.addFields({
+      name: 'Recent Teams',
+      value: profile.teamHistory.map(entry => `${entry.team} (${entry.period})`).join('\n') || 'No team history available',
+      inline: false
     });
     
-    lastPostedArticles = [...lastPostedArticles, ...cleanNewArticles];
-    // Keep only the most recent X articles in our memory
-    if (lastPostedArticles.length > config.maxArticlesToKeep) {
-      lastPostedArticles = lastPostedArticles.slice(lastPostedArticles.length - config.maxArticlesToKeep);
-    }
-    // Save posted articles to file so they persist across restarts
-    savePostedArticles();
-      // Send new articles to Discord
-    if (config.logging.showUpdateChecks) {
-      console.log(`Sending ${newArticles.length} new articles to Discord`);
+    return { embeds: [embed] };
+  } catch (error) {
+    console.error('Error building player profile:', error);
+    return 'Failed to retrieve the player profile. Please try again later.';
+  }
+}
+
+// Function to join lines into an embed field value without passing Discord's 1024 character limit
+function fitFieldLines(lines, maxLength = 1024) {
+  const kept = [];
+  let length = 0;
+  for (const line of lines) {
+    const more = `...and ${lines.length - kept.length} more`;
+    if (length + line.length + 1 > maxLength - more.length - 1) {
+      kept.push(more);
+      break;
     }
+    kept.push(line);
+    length += line.length + 1;
+  }
+  return kept.join('\n');
+}
+
+// Function to format an event line, e.g. "IEM Cologne (2025-07-23 to 2025-08-10) · Cologne · $1,000,000 · 16 teams"
+function formatEventLine(event) {
+  const dates = event.startDate
+    ? ` (${event.startDate.slice(0, 10)}${event.endDate && event.endDate !== event.startDate ? ` to ${event.endDate.slice(0, 10)}` : ''})`
+    : '';
+  const details = [
+    event.tier,
+    event.location,
+    event.prizePool,
+    event.teamCount ? `${event.teamCount} teams` : null
+  ].filter(Boolean);
+  const name = event.featured ? `**${event.name}**` : event.name;
+  return `[${name}](${event.eventUrl})${dates}${details.length > 0 ? `\n  ${details.join(' · ')}` : ''}`;
+}
+
+// Function to build the ongoing and upcoming events reply
+async function buildEventsMessage() {
+  try {
+    const events = await scraper.getEvents();
     
-    for (const article of newArticles) {
-      const embed = new EmbedBuilder()
-        .setColor(article.type === 'featured' ? '#FF4500' : config.embedColor)
-        .setTitle(article.title)
-        .setURL(article.url)
-        .setDescription('Click the title to read the full article')
-        .setTimestamp()
-        .setFooter({ text: config.footerText });
-      
-      // Add image for featured articles if available
-      if (article.image) {
-        embed.setImage(article.image);
-      }
-      
-      // Add timestamp if available
-      if (article.time) {
-        embed.addFields({ name: 'Published', value: article.time, inline: true });
-      }
-      
-      await channel.send({ embeds: [embed] });
-      
-      // Small delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, config.delayBetweenMessages));
+    if (events.length === 0) {
+      return 'No event data found on HLTV.org. Please try again later.';
     }
     
+    const ongoing = events.filter(event => event.status === 'ongoing');
+    const upcoming = events.filter(event => event.status === 'upcoming');
+    
+    const embed = new EmbedBuilder()
+      .setColor(config.embedColor)
+      .setTitle('CS Events')
+      .setURL('https://www.hltv.org/events')
+      .setDescription('Ongoing and upcoming tournaments on HLTV.org. Featured events are shown in bold.')
+      .addFields(
+        { name: '🔴 Ongoing', value: ongoing.length > 0 ? fitFieldLines(ongoing.slice(0, 8).map(formatEventLine)) : 'No ongoing events', inline: false },
+        { name: '📅 Upcoming', value: upcoming.length > 0 ? fitFieldLines(upcoming.slice(0, 8).map(formatEventLine)) : 'No upcoming events', inline: false }
+      )
+      .setTimestamp()
+      .setFooter({ text: 'Data from HLTV.org' });
+    
+    return { embeds: [embed] };
   } catch (error) {
-    console.error('Error sending news updates:', error);
+    console.error('Error building events:', error);
+    return 'Failed to retrieve events. Please try again later.';
+  }
+}
+
+// Function to add fields to an embed while staying within Discord's limits
+// (25 fields, 6000 characters in total); sections that don't fit are linked instead
+function addFieldsWithinLimits(embed, fields, moreUrl) {
+  const data = embed.data;
+  let total = (data.title || '').length + (data.description || '').length + ((data.footer && data.footer.text) || '').length;
+  let skipped = 0;
+  
+  for (const field of fields) {
+    const fieldLength = field.name.length + field.value.length;
+    if (skipped > 0 || (data.fields || []).length >= 24 || total + fieldLength > 5800) {
+      skipped++;
+      continue;
+    }
+    embed.addFields(field);
+    total += fieldLength;
+  }
+  
+  if (skipped > 0) {
+    embed.addFields({ name: 'More', value: `${skipped} more section(s) on [HLTV.org](${moreUrl})`, inline: false });
   }
+  return embed;
 }
 
-// Function to send upcoming matches to Discord
-async function sendUpcomingMatches(channel) {
+// Function to build the group standings and playoff bracket reply of an event
+async function buildEventDetailsMessage(name) {
+  if (!name) {
+    return 'Usage: `!csevent <event name>` (e.g. `!csevent cologne`)';
+  }
+  
   try {
-    const matches = await scraper.getUpcomingMatches(5);
+    const details = await scraper.getEventDetails(name);
     
-    if (matches.length === 0) {
-      return channel.send('No upcoming matches found on HLTV.org');
+    if (!details) {
+      return `❌ Couldn't find an event matching "${name}" on HLTV.org.`;
     }
     
+    const overview = [
+      details.startDate ? `📅 ${details.startDate.slice(0, 10)}${details.endDate ? ` to ${details.endDate.slice(0, 10)}` : ''}` : null,
+      details.location ? `📍 ${details.location}` : null,
+      details.prizePool ? `💰 ${details.prizePool}` : null
+    ].filter(Boolean);
+    
     const embed = new EmbedBuilder()
       .setColor(config.embedColor)
-      .setTitle('Upcoming CS Matches')
-      .setURL('https://www.hltv.org/matches')
-      .setDescription('Here are the upcoming Counter-Strike matches:')
+      .setTitle(details.name.slice(0, 256))
+      .setURL(details.eventUrl)
+      .setDescription(overview.join('\n') || 'HLTV.org event page')
       .setTimestamp()
       .setFooter({ text: 'Data from HLTV.org' });
     
-    matches.forEach((match, index) => {
-      embed.addFields({ 
-        name: `Match ${index + 1}: ${match.team1} vs ${match.team2}`,
-        value: `⏰ ${match.matchTime}\n🏆 ${match.matchMeta}\n🔗 [Match Details](${match.matchUrl})`
+    const fields = [];
+    for (const group of details.groups) {
+      const lines = group.teams.map(team => {
+        const record = team.wins !== null && team.losses !== null ? `${team.wins}-${team.losses}` : '';
+        return `${String(team.place).padStart(2)}. ${team.name.slice(0, 16).padEnd(16)} ${record}`;
       });
-    });
+      fields.push({ name: group.name.slice(0, 256), value: `\`\`\`\n${fitFieldLines(lines, 1016)}\n\`\`\``, inline: false });
+    }
+    
+    for (const round of details.bracket) {
+      const lines = round.matches.map(match => {
+        const score = match.team1Score !== null && match.team2Score !== null ? `${match.team1Score}-${match.team2Score}` : 'vs';
+        return `${match.team1} ${score} ${match.team2}`;
+      });
+      fields.push({ name: `🏆 ${round.round}`.slice(0, 256), value: fitFieldLines(lines), inline: false });
+    }
+    
+    if (fields.length === 0) {
+      embed.addFields({ name: 'Standings', value: 'No groups or bracket published yet', inline: false });
+    }
     
-    return channel.send({ embeds: [embed] });
+    return { embeds: [addFieldsWithinLimits(embed, fields, details.eventUrl)] };
   } catch (error) {
-    console.error('Error sending upcoming matches:', error);
-    return channel.send('Failed to retrieve upcoming matches. Please try again later.');
+    console.error('Error building event details:', error);
+    return 'Failed to retrieve the event. Please try again later.';
   }
 }
 
-// Function to send top teams to Discord
-async function sendTopTeams(channel) {
+// Function to build the team rankings reply for a specific date
+async function buildRankingsForDateMessage(dateInput) {
+  const rankingDate = resolveRankingDate(dateInput);
+  if (!rankingDate) {
+    return 'Invalid date. Use a date like `2024-03-14`, a month like `2024-03`, `last week` or `YYYY/month/DD` (e.g., `2025/may/12`). Future dates have no ranking yet.';
+  }
+  
   try {
-    const teams = await scraper.getTopTeams(10);
-    
-    if (teams.length === 0) {
-      return channel.send('No team ranking data found on HLTV.org');
-    }
+    const teams = await scraper.updateTeamRankings(rankingDate);
     
     const embed = new EmbedBuilder()
       .setColor(config.embedColor)
-      .setTitle('CS Team Rankings')
-      .setURL('https://www.hltv.org/ranking/teams')
-      .setDescription('Current HLTV.org team rankings:')
+      .setTitle(`CS Team Rankings - ${rankingDate}`)
+      .setURL(`https://www.hltv.org/ranking/teams/${toDateString(rankingDate)}`)
+      .setDescription(`HLTV.org team rankings of ${rankingDate}:`)
       .setTimestamp()
       .setFooter({ text: 'Data from HLTV.org' });
     
-    teams.forEach(team => {
+    teams.slice(0, 10).forEach(team => {
       embed.addFields({ 
         name: `#${team.rank} ${team.name}`, 
         value: `Points: ${team.points}`,
@@ -263,11 +1546,251 @@ async function sendTopTeams(channel) {
       });
     });
     
-    return channel.send({ embeds: [embed] });
+    return { embeds: [embed] };
   } catch (error) {
-    console.error('Error sending team rankings:', error);
-    return channel.send('Failed to retrieve team rankings. Please try again later.');
+    return `Error fetching the rankings of ${rankingDate}. Please try again later.`;
+  }
+}
+
+// Function to check if a guild member has administrator permissions
+function isAdmin(member) {
+  return Boolean(member && member.permissions && member.permissions.has(PermissionFlagsBits.Administrator));
+}
+
+// Function to reset the posted article history of a guild and the news cache
+// Returns the status lines to report back to the admin
+function resetArticleHistory(guildId) {
+  const results = [];
+  
+  const count = subscriptionStore.resetPostedArticles(guildId);
+  results.push(`✅ Reset the article history of ${count} channel(s). New articles will be posted on the next check.`);
+  
+  // Also reset the news cache if it exists
+  try {
+    const newsCache = path.join(__dirname, 'cache', 'news_cache.json');
+    if (fs.existsSync(newsCache)) {
+      fs.unlinkSync(newsCache);
+      results.push('✅ Cleared the news cache. Fresh data will be fetched.');
+    }
+  } catch (err) {
+    console.error('Error clearing news cache:', err);
+  }
+  
+  return results;
+}
+
+// Function to subscribe a channel to news updates
+// The current articles are marked as posted so the channel only gets new ones
+async function subscribeChannel(guildId, channel, userId) {
+  if (!channel || !channel.isTextBased()) {
+    return '❌ News can only be posted in text channels.';
+  }
+  
+  if (subscriptionStore.getSubscription(guildId, channel.id)) {
+    return `<#${channel.id}> is already subscribed to CS news updates.`;
+  }
+  
+  let seedArticles = [];
+  try {
+    seedArticles = (await scraper.getLatestNews()).filter(article => !article.synthetic);
+  } catch (error) {
+    console.error('Error fetching articles to seed subscription:', error);
+  }
+  
+  subscriptionStore.addChannel(guildId, channel.id, { addedBy: userId, seedArticles });
+  console.log(`Subscribed channel ${channel.id} in guild ${guildId} to news updates`);
+  return `✅ <#${channel.id}> will now receive CS news updates. Articles published before now won't be reposted.`;
+}
+
+// Function to unsubscribe a channel from news updates
+function unsubscribeChannel(guildId, channelId) {
+  if (!subscriptionStore.removeChannel(guildId, channelId)) {
+    return `<#${channelId}> is not subscribed to CS news updates.`;
+  }
+  
+  console.log(`Unsubscribed channel ${channelId} in guild ${guildId} from news updates`);
+  return `✅ <#${channelId}> will no longer receive CS news updates.`;
+}
+
+// Function to subscribe a channel to transfer updates
+async function subscribeTransfers(guildId, channel, userId) {
+  if (!channel || !channel.isTextBased()) {
+    return '❌ Transfers can only be posted in text channels.';
+  }
+  
+  if (subscriptionStore.getTransferSubscription(guildId, channel.id)) {
+    return `<#${channel.id}> is already subscribed to CS transfers.`;
+  }
+  
+  // Transfers already listed on HLTV.org are marked as posted, like articles for news subscriptions
+  // getTransfers returns an empty list when the fetch fails, subscribing then would post the whole list later
+  const transfers = await scraper.getTransfers();
+  if (transfers.length === 0) {
+    return '❌ Could not fetch the current transfers from HLTV.org. Please try again later.';
+  }
+  subscriptionStore.addTransferChannel(guildId, channel.id, {
+    addedBy: userId,
+    seedKeys: transfers.map(transfer => transfer.transferId)
+  });
+  console.log(`Subscribed channel ${channel.id} in guild ${guildId} to transfers`);
+  return `✅ <#${channel.id}> will now receive CS transfers. Transfers made before now won't be posted.`;
+}
+
+// Function to unsubscribe a channel from transfer updates
+function unsubscribeTransfers(guildId, channelId) {
+  if (!subscriptionStore.removeTransferChannel(guildId, channelId)) {
+    return `<#${channelId}> is not subscribed to CS transfers.`;
+  }
+  
+  console.log(`Unsubscribed channel ${channelId} in guild ${guildId} from transfers`);
+  return `✅ <#${channelId}> will no longer receive CS transfers.`;
+}
+
+// Function to build the list of subscribed channels in a guild
+function buildSubscriptionsMessage(guildId) {
+  const subscriptions = subscriptionStore.getGuildSubscriptions(guildId);
+  const transferSubscriptions = subscriptionStore.getGuildTransferSubscriptions(guildId);
+  
+  if (subscriptions.length === 0 && transferSubscriptions.length === 0) {
+    return 'No channels in this server receive CS news updates. An admin can add one with `!cssubscribe` or `/cssubscribe`.';
   }
+  
+  const formatSubscription = ({ channelId, subscription }) => `<#${channelId}> - since ${subscription.addedAt.split('T')[0]}`;
+  const embed = new EmbedBuilder()
+    .setColor(config.embedColor)
+    .setTitle('CS News Subscriptions')
+    .addFields(
+      { name: 'News', value: subscriptions.map(formatSubscription).join('\n') || 'None', inline: false },
+      { name: 'Transfers', value: transferSubscriptions.map(formatSubscription).join('\n') || 'None', inline: false }
+    )
+    .setFooter({ text: config.footerText });
+  
+  return { embeds: [embed] };
+}
+
+// Function to add or remove a keyword filter of a subscribed channel
+function updateChannelFilter(guildId, channelId, action, type, term) {
+  if (!subscriptionStore.getSubscription(guildId, channelId)) {
+    return `<#${channelId}> is not subscribed to CS news updates. Subscribe it first with \`!cssubscribe\`.`;
+  }
+  
+  if (!FILTER_TYPES.includes(type) || !term) {
+    return 'Usage: `!csfilter add|remove include|exclude <team, player or keyword> [#channel]`';
+  }
+  
+  if (action === 'add') {
+    return subscriptionStore.addFilter(guildId, channelId, type, term)
+      ? `✅ Added ${type} filter \`${term}\` to <#${channelId}>.`
+      : `<#${channelId}> already has the ${type} filter \`${term}\`.`;
+  }
+  
+  return subscriptionStore.removeFilter(guildId, channelId, type, term)
+    ? `✅ Removed ${type} filter \`${term}\` from <#${channelId}>.`
+    : `<#${channelId}> has no ${type} filter \`${term}\`.`;
+}
+
+// Function to build the list of keyword filters of a subscribed channel
+function buildFiltersMessage(guildId, channelId) {
+  if (!subscriptionStore.getSubscription(guildId, channelId)) {
+    return `<#${channelId}> is not subscribed to CS news updates.`;
+  }
+  
+  const filters = subscriptionStore.getFilters(guildId, channelId);
+  const formatTerms = terms => terms.length > 0 ? terms.map(term => `\`${term}\``).join(', ') : 'None';
+  
+  const embed = new EmbedBuilder()
+    .setColor(config.embedColor)
+    .setTitle('CS News Filters')
+    .setDescription(`Filters for <#${channelId}>. Articles must mention at least one include term (if any are set) and none of the exclude terms.`)
+    .addFields(
+      { name: 'Include', value: formatTerms(filters.include), inline: false },
+      { name: 'Exclude', value: formatTerms(filters.exclude), inline: false }
+    )
+    .setFooter({ text: config.footerText });
+  
+  return { embeds: [embed] };
+}
+
+// Last and next run of each periodic check, shown by !csstatus
+const scheduledChecks = {};
+
+// Function to run a check periodically and remember when it runs next
+function scheduleCheck(name, check, intervalMs) {
+  scheduledChecks[name] = { lastRun: null, nextRun: new Date(Date.now() + intervalMs) };
+  setInterval(() => {
+    scheduledChecks[name].lastRun = new Date();
+    scheduledChecks[name].nextRun = new Date(Date.now() + intervalMs);
+    check();
+  }, intervalMs);
+}
+
+// Function to format a duration in hours, e.g. "25m", "3.5h" or "2.0d"
+function formatHours(hours) {
+  if (hours < 1) return `${Math.round(hours * 60)}m`;
+  if (hours < 48) return `${hours.toFixed(1)}h`;
+  return `${(hours / 24).toFixed(1)}d`;
+}
+
+// Function to build the admin status reply: caches, news source, scrapes, rate limits and schedules
+function buildStatusMessage(guildId) {
+  const cacheLines = scraper.getCacheStatus().map(cache => {
+    if (cache.ageHours === null) {
+      return `\`${cache.name}\` empty (TTL ${formatHours(cache.ttlHours)})`;
+    }
+    const expired = cache.ageHours > cache.ttlHours ? ' ⌛ expired' : '';
+    return `\`${cache.name}\` ${formatHours(cache.ageHours)} old (TTL ${formatHours(cache.ttlHours)})${expired}`;
+  });
+  
+  const lastNews = scraper.lastNewsSource;
+  let newsSource = 'No news fetched since the bot started (cached news may be in use)';
+  if (lastNews) {
+    const label = NEWS_SOURCE_LABELS[lastNews.source] || `${lastNews.source} placeholders`;
+    newsSource = `${label}, ${lastNews.confidence} confidence, ${formatDiscordTime(lastNews.fetchedAt, 'R')}`;
+  }
+  if (degradedSince) {
+    newsSource += `\n⚠️ Degraded mode since ${formatDiscordTime(degradedSince.toISOString(), 'R')}`;
+  }
+  
+  const healthLines = Object.entries(scrapeHealth.getStatus()).map(([method, state]) => {
+    const lastSuccess = state.lastSuccess ? formatDiscordTime(state.lastSuccess, 'R') : 'never';
+    const failures = state.consecutiveFailures > 0 ? `, ${state.consecutiveFailures} failures in a row` : '';
+    return `${scrapeHealth.getLabel(method)}: ${lastSuccess}${failures}`;
+  });
+  
+  const rateLimit = scraper.getRateLimitStatus();
+  const rateLimitText = `${rateLimit.requestsInInterval}/${rateLimit.maxRequestsPerInterval} requests this interval, resets ${formatDiscordTime(rateLimit.intervalResetsAt, 'R')}\n` +
+    `${rateLimit.totalRequests} requests and ${rateLimit.waits} rate limit waits since start` +
+    (scraper.transport.mode !== 'live' ? `\n⚠️ HTTP transport in ${scraper.transport.mode} mode` : '');
+  
+  const scheduleLines = Object.entries(scheduledChecks)
+    .map(([name, schedule]) => `${name}: ${formatDiscordTime(schedule.nextRun.toISOString(), 'R')}`);
+  
+  const selectorStatus = scraper.selectors.getStatus();
+  const selectorText = `Version ${selectorStatus.version}, ` +
+    (selectorStatus.overrides.length > 0 ? `config.json overrides for ${selectorStatus.overrides.join(', ')}` : 'no config.json overrides');
+  
+  const subscriptions = subscriptionStore.getAllSubscriptions();
+  const countPosted = list => list.reduce((total, { subscription }) => total + subscription.postedArticles.length, 0);
+  const guildSubscriptions = subscriptions.filter(entry => entry.guildId === guildId);
+  const postedText = `${countPosted(subscriptions)} across ${subscriptions.length} channels` +
+    (guildId ? `, ${countPosted(guildSubscriptions)} in ${guildSubscriptions.length} channels of this server` : '');
+  
+  const embed = new EmbedBuilder()
+    .setColor(degradedSince ? '#FFA500' : config.embedColor)
+    .setTitle('CS News Bot Status')
+    .addFields(
+      { name: 'Last news source', value: newsSource, inline: false },
+      { name: 'Last successful scrape', value: fitFieldLines(healthLines.length > 0 ? healthLines : ['No scrapes since the bot started']), inline: false },
+      { name: 'Rate limiter', value: rateLimitText, inline: false },
+      { name: 'Selectors', value: selectorText, inline: false },
+      { name: 'Next scheduled checks', value: fitFieldLines(scheduleLines.length > 0 ? scheduleLines : ['Not scheduled yet']), inline: false },
+      { name: 'Posted articles kept', value: postedText, inline: false },
+      { name: 'Cache files', value: fitFieldLines(cacheLines), inline: false }
+    )
+    .setTimestamp()
+    .setFooter({ text: config.footerText });
+  
+  return { embeds: [embed] };
 }
 
 // Function to check if the cache is too old and needs resetting
@@ -310,19 +1833,24 @@ async function updateBotStatus() {
   }
 }
 
-client.once('ready', () => {
+client.once('ready', async () => {
   if (config.logging.showStartupMessage) {
     console.log(`Logged in as ${client.user.tag}!`);
   }
   
+  // Register slash commands (guild commands update instantly if GUILD_ID is set)
+  registerSlashCommands(client, process.env.GUILD_ID)
+    .then(count => console.log(`Registered ${count} slash commands`))
+    .catch(error => console.error('Error registering slash commands:', error));
+  
   // Set custom status with current tournament
   updateBotStatus();
   
   // Update status every 6 hours
   setInterval(updateBotStatus, 6 * 60 * 60 * 1000);
   
-  // Load previously posted articles to prevent reposting
-  loadPostedArticles();
+  // Move a CHANNEL_ID from the .env file into the subscription store
+  await migrateLegacyChannel();
   
   // Check cache age on startup
   checkCacheAge();
@@ -337,32 +1865,232 @@ client.once('ready', () => {
   if (config.logging.showStartupMessage) {
     console.log(`Setting up news check interval: ${updateIntervalMinutes} minutes`);
   }
-  setInterval(sendNewsUpdates, updateIntervalMs);
+  scheduleCheck('News', sendNewsUpdates, updateIntervalMs);
+  
+  // Start match reminders and keep them in sync with the upcoming matches
+  matchReminders.start();
+  syncMatchReminders();
+  scheduleCheck('Match reminders', syncMatchReminders, reminderSettings.syncIntervalMinutes * 60 * 1000);
+  
+  // Resume live match messages tracked before a restart
+  liveTracker.start();
+  
+  // Post results of followed teams to channels that enabled it
+  scheduleCheck('Match results', checkMatchResults, resultSettings.checkIntervalMinutes * 60 * 1000);
+  
+  // Post new transfers to channels subscribed to them
+  scheduleCheck('Transfers', checkTransfers, transferSettings.checkIntervalMinutes * 60 * 1000);
+  
+  // Store weekly ranking snapshots and post the movers when a new ranking is out
+  checkRankingUpdate();
+  scheduleCheck('Ranking movers', checkRankingUpdate, moversSettings.checkIntervalMinutes * 60 * 1000);
+});
+
+// Slash command handler
+client.on('interactionCreate', async interaction => {
+  if (!interaction.isChatInputCommand()) return;
+  
+  try {
+    switch (interaction.commandName) {
+      case 'csnews':
+        await interaction.reply('Checking for the latest CS news...');
+        await sendNewsUpdates();
+        break;
+      case 'csmatches':
+        await interaction.deferReply();
+        await interaction.editReply(await buildUpcomingMatchesMessage(interaction.options.getInteger('limit') || 5));
+        break;
+      case 'csteams':
+        await interaction.deferReply();
+        await interaction.editReply(await buildTopTeamsMessage(interaction.options.getInteger('limit') || 10));
+        break;
+      case 'csteam':
+        await interaction.deferReply();
+        await interaction.editReply(await buildTeamProfileMessage(interaction.options.getString('name')));
+        break;
+      case 'csplayer':
+        await interaction.deferReply();
+        await interaction.editReply(await buildPlayerProfileMessage(interaction.options.getString('nick')));
+        break;
+      case 'csmovers':
+        await interaction.deferReply();
+        await interaction.editReply(await buildMoversMessage());
+        break;
+      case 'csrankhistory':
+        await interaction.deferReply();
+        await interaction.editReply(await buildRankHistoryMessage(
+          interaction.options.getString('team'),
+          interaction.options.getInteger('weeks') || 12
+        ));
+        break;
+      case 'csevents':
+        await interaction.deferReply();
+        await interaction.editReply(await buildEventsMessage());
+        break;
+      case 'csevent':
+        await interaction.deferReply();
+        await interaction.editReply(await buildEventDetailsMessage(interaction.options.getString('name')));
+        break;
+      case 'cssummary':
+        await interaction.deferReply();
+        await interaction.editReply(await buildSummaryMessage(interaction.options.getString('url').trim()));
+        break;
+      case 'cstransfers':
+        await interaction.deferReply();
+        await interaction.editReply(await buildTransfersMessage());
+        break;
+      case 'csrankings':
+        await interaction.deferReply();
+        await interaction.editReply(await buildRankingsForDateMessage(interaction.options.getString('date').trim()));
+        break;
+      case 'csstatus':
+        if (!isAdmin(interaction.member)) {
+          await interaction.reply({ content: '❌ Only administrators can see the bot status.', flags: MessageFlags.Ephemeral });
+          break;
+        }
+        await interaction.reply({ ...buildStatusMessage(interaction.guildId), flags: MessageFlags.Ephemeral });
+        break;
+      case 'csreset':
+        if (!isAdmin(interaction.member)) {
+          await interaction.reply({ content: '❌ Only administrators can reset the article history.', flags: MessageFlags.Ephemeral });
+          break;
+        }
+        await interaction.reply(resetArticleHistory(interaction.guildId).join('\n'));
+        break;
+      case 'cssubscribe':
+      case 'csunsubscribe': {
+        if (!interaction.guildId || !isAdmin(interaction.member)) {
+          await interaction.reply({ content: '❌ Only server administrators can manage news subscriptions.', flags: MessageFlags.Ephemeral });
+          break;
+        }
+        const channel = interaction.options.getChannel('channel') || interaction.channel;
+        const transfers = interaction.options.getString('feed') === 'transfers';
+        if (interaction.commandName === 'cssubscribe') {
+          await interaction.deferReply();
+          await interaction.editReply(transfers
+            ? await subscribeTransfers(interaction.guildId, channel, interaction.user.id)
+            : await subscribeChannel(interaction.guildId, channel, interaction.user.id));
+        } else {
+          await interaction.reply(transfers
+            ? unsubscribeTransfers(interaction.guildId, channel.id)
+            : unsubscribeChannel(interaction.guildId, channel.id));
+        }
+        break;
+      }
+      case 'csfilter': {
+        if (!interaction.guildId) {
+          await interaction.reply('News filters can only be managed in a server.');
+          break;
+        }
+        const subcommand = interaction.options.getSubcommand();
+        const channelId = (interaction.options.getChannel('channel') || interaction.channel).id;
+        if (subcommand === 'list') {
+          await interaction.reply(buildFiltersMessage(interaction.guildId, channelId));
+        } else if (!isAdmin(interaction.member)) {
+          await interaction.reply({ content: '❌ Only server administrators can manage news filters.', flags: MessageFlags.Ephemeral });
+        } else {
+          await interaction.reply(updateChannelFilter(
+            interaction.guildId,
+            channelId,
+            subcommand,
+            interaction.options.getString('type'),
+            interaction.options.getString('term')
+          ));
+        }
+        break;
+      }
+      case 'csresults':
+        await interaction.deferReply();
+        await interaction.editReply(await buildResultsMessage(interaction.options.getString('team') || ''));
+        break;
+      case 'csautoresults': {
+        if (!interaction.guildId || !isAdmin(interaction.member)) {
+          await interaction.reply({ content: '❌ Only server administrators can manage automatic results.', flags: MessageFlags.Ephemeral });
+          break;
+        }
+        const channelId = (interaction.options.getChannel('channel') || interaction.channel).id;
+        await interaction.deferReply();
+        await interaction.editReply(await setAutoResults(interaction.guildId, channelId, interaction.options.getBoolean('enabled')));
+        break;
+      }
+      case 'cslive': {
+        const subcommand = interaction.options.getSubcommand();
+        if (subcommand === 'list') {
+          await interaction.deferReply();
+          await interaction.editReply(await buildLiveMatchesMessage());
+        } else if (subcommand === 'track') {
+          await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+          await interaction.editReply(await trackLiveMatch({
+            number: interaction.options.getInteger('number'),
+            channel: interaction.options.getChannel('channel') || interaction.channel,
+            guildId: interaction.guildId,
+            member: interaction.member
+          }));
+        } else {
+          await interaction.reply(stopLiveTracking({
+            channelId: (interaction.options.getChannel('channel') || interaction.channel).id,
+            guildId: interaction.guildId,
+            member: interaction.member
+          }));
+        }
+        break;
+      }
+      case 'csfollow':
+        await interaction.deferReply({ flags: interaction.options.getChannel('channel') ? undefined : MessageFlags.Ephemeral });
+        await interaction.editReply(await followTeam({
+          team: interaction.options.getString('team'),
+          minutesBefore: interaction.options.getInteger('minutes'),
+          channel: interaction.options.getChannel('channel'),
+          role: interaction.options.getRole('role'),
+          userId: interaction.user.id,
+          guildId: interaction.guildId,
+          member: interaction.member
+        }));
+        break;
+      case 'csunfollow':
+        await interaction.reply({
+          content: unfollowTeam({
+            team: interaction.options.getString('team'),
+            channel: interaction.options.getChannel('channel'),
+            userId: interaction.user.id,
+            guildId: interaction.guildId,
+            member: interaction.member
+          }),
+          flags: MessageFlags.Ephemeral
+        });
+        break;
+      case 'csfollows':
+        await interaction.reply(buildFollowsMessage(interaction.user.id, interaction.guildId));
+        break;
+      case 'cssubscriptions':
+        await interaction.reply(interaction.guildId
+          ? buildSubscriptionsMessage(interaction.guildId)
+          : 'Subscriptions can only be listed in a server.');
+        break;
+      case 'help':
+        await interaction.reply({ embeds: [buildHelpEmbed(config)] });
+        break;
+    }
+  } catch (error) {
+    console.error(`Error handling slash command /${interaction.commandName}:`, error);
+    const reply = { content: 'Something went wrong while running that command.', flags: MessageFlags.Ephemeral };
+    if (interaction.deferred || interaction.replied) {
+      await interaction.followUp(reply).catch(() => {});
+    } else {
+      await interaction.reply(reply).catch(() => {});
+    }
+  }
 });
 
-// Command handler
+// Prefix command handler (fallback, requires the MessageContent intent)
 client.on('messageCreate', async message => {
   // Ignore messages from bots
   if (message.author.bot) return;
   
   // Without MessageContent intent, we can only respond to mentions
-  // or use slash commands (which would require additional setup)
   if (message.mentions.has(client.user)) {
     // Simple help message when mentioned
-    const embed = new EmbedBuilder()
-      .setColor(config.embedColor)
-      .setTitle('CS News Bot Commands')
-      .setDescription('Here are the available commands:')
-      .addFields(
-        { name: config.commands.checkNews, value: 'Get the latest CS news from HLTV.org', inline: false },
-        { name: config.commands.matches, value: 'Get upcoming CS matches', inline: false },
-        { name: config.commands.teams, value: 'Get current CS team rankings', inline: false },
-        { name: '!csreset', value: 'Admin only: Reset article history to prevent duplicates', inline: false },
-        { name: '!help', value: 'Show this help message', inline: false }
-      )
-      .setFooter({ text: 'CS News Discord Bot' });
-    
-    await message.channel.send({ embeds: [embed] });
+    await message.channel.send({ embeds: [buildHelpEmbed(config)] });
     return;
   }
   
@@ -372,36 +2100,174 @@ client.on('messageCreate', async message => {
   // Handle commands
   if (content === config.commands.checkNews) {
     await message.channel.send('Checking for the latest CS news...');
-    await sendNewsUpdates();  } 
+    await sendNewsUpdates();
+  } 
   else if (content === config.commands.matches) {
     await message.channel.send('Fetching upcoming CS matches...');
-    await sendUpcomingMatches(message.channel);
+    await message.channel.send(await buildUpcomingMatchesMessage(5));
   }
   else if (content === config.commands.teams) {
     await message.channel.send('Fetching current CS team rankings...');
-    await sendTopTeams(message.channel);
-  }  else if (content === '!csreset') {
+    await message.channel.send(await buildTopTeamsMessage(10));
+  }
+  else if (content === '!csteam' || content.startsWith('!csteam ')) {
+    // Team profile with fuzzy matched name: !csteam navi
+    const name = content.replace('!csteam', '').trim();
+    await message.channel.send(await buildTeamProfileMessage(name));
+  }
+  else if (content === '!csplayer' || content.startsWith('!csplayer ')) {
+    // Player profile: !csplayer zywoo
+    const nick = content.replace('!csplayer', '').trim();
+    await message.channel.send(await buildPlayerProfileMessage(nick));
+  }
+  else if (content === '!csmovers') {
+    await message.channel.send('Comparing the latest CS team rankings...');
+    await message.channel.send(await buildMoversMessage());
+  }
+  else if (content === '!csrankhistory' || content.startsWith('!csrankhistory ')) {
+    // Team ranking trend: !csrankhistory vitality 12
+    const args = content.replace('!csrankhistory', '').trim().split(/\s+/).filter(Boolean);
+    const weeks = args.length > 1 && /^\d+$/.test(args[args.length - 1]) ? parseInt(args.pop(), 10) : 12;
+    if (args.length > 0) {
+      await message.channel.send('Looking up the ranking history, this can take a few minutes for weeks that aren\'t stored yet...');
+    }
+    await message.channel.send(await buildRankHistoryMessage(args.join(' '), weeks));
+  }
+  else if (content === '!csevents') {
+    await message.channel.send('Fetching CS events...');
+    await message.channel.send(await buildEventsMessage());
+  }
+  else if (content.startsWith('!csevent ') || content === '!csevent') {
+    // Event standings: !csevent cologne
+    const name = content.replace('!csevent', '').trim();
+    await message.channel.send(await buildEventDetailsMessage(name));
+  }
+  else if (content === '!cssummary' || content.startsWith('!cssummary ')) {
+    // Summarize an article on demand: !cssummary https://www.hltv.org/news/12345/title
+    const url = content.replace('!cssummary', '').trim().replace(/^<|>$/g, '');
+    await message.channel.send(await buildSummaryMessage(url));
+  }
+  else if (content === '!cstransfers') {
+    await message.channel.send('Fetching the latest CS transfers...');
+    await message.channel.send(await buildTransfersMessage());
+  }
+  else if (content === '!csstatus') {
+    if (message.guild && isAdmin(message.member)) {
+      await message.channel.send(buildStatusMessage(message.guild.id));
+    } else {
+      await message.channel.send('❌ Only administrators can see the bot status.');
+    }
+  }
+  else if (content === '!csreset') {
     // Add a command to clear the posted articles cache
-    const userIsAdmin = message.member && message.member.permissions.has('ADMINISTRATOR');
-    if (userIsAdmin) {
-      lastPostedArticles = [];
-      savePostedArticles();
-      await message.channel.send('✅ Reset the article history. New articles will be posted on the next check.');
-      
-      // Also reset the news cache if it exists
-      try {
-        const newsCache = path.join(__dirname, 'cache', 'news_cache.json');
-        if (fs.existsSync(newsCache)) {
-          fs.unlinkSync(newsCache);
-          await message.channel.send('✅ Cleared the news cache. Fresh data will be fetched.');
-        }
-      } catch (err) {
-        console.error('Error clearing news cache:', err);
+    if (message.guild && isAdmin(message.member)) {
+      for (const line of resetArticleHistory(message.guild.id)) {
+        await message.channel.send(line);
       }
     } else {
       await message.channel.send('❌ Only administrators can reset the article history.');
     }
   }
+  else if (content === '!cssubscribe' || content.startsWith('!cssubscribe ') ||
+           content === '!csunsubscribe' || content.startsWith('!csunsubscribe ')) {
+    // Subscribe the mentioned channel, or the current one: !cssubscribe #news, !cssubscribe transfers #transfers
+    if (!message.guild || !isAdmin(message.member)) {
+      await message.channel.send('❌ Only server administrators can manage news subscriptions.');
+      return;
+    }
+    const channel = message.mentions.channels.first() || message.channel;
+    const transfers = content.split(/\s+/)[1] === 'transfers';
+    if (content.startsWith('!cssubscribe')) {
+      await message.channel.send(transfers
+        ? await subscribeTransfers(message.guild.id, channel, message.author.id)
+        : await subscribeChannel(message.guild.id, channel, message.author.id));
+    } else {
+      await message.channel.send(transfers
+        ? unsubscribeTransfers(message.guild.id, channel.id)
+        : unsubscribeChannel(message.guild.id, channel.id));
+    }
+  }
+  else if (content === '!csfilter' || content.startsWith('!csfilter ')) {
+    // Manage filters: !csfilter add include navi #news, !csfilter list #news
+    if (!message.guild) return;
+    const channelId = (message.mentions.channels.first() || message.channel).id;
+    const args = content.replace(/<#\d+>/g, '').trim().split(/\s+/).slice(1);
+    const [action, type, ...termParts] = args;
+    
+    if (action === 'list' || !action) {
+      await message.channel.send(buildFiltersMessage(message.guild.id, channelId));
+    } else if (!isAdmin(message.member)) {
+      await message.channel.send('❌ Only server administrators can manage news filters.');
+    } else if (action === 'add' || action === 'remove') {
+      await message.channel.send(updateChannelFilter(message.guild.id, channelId, action, type, termParts.join(' ')));
+    } else {
+      await message.channel.send('Usage: `!csfilter add|remove include|exclude <team, player or keyword> [#channel]` or `!csfilter list [#channel]`');
+    }
+  }
+  else if (content === '!csresults' || content.startsWith('!csresults ')) {
+    // Recent results, optionally for a team: !csresults vitality
+    const team = content.replace('!csresults', '').trim();
+    await message.channel.send('Fetching recent CS match results...');
+    await message.channel.send(await buildResultsMessage(team));
+  }
+  else if (content === '!csautoresults' || content.startsWith('!csautoresults ')) {
+    // Toggle automatic results: !csautoresults on #matches
+    if (!message.guild || !isAdmin(message.member)) {
+      await message.channel.send('❌ Only server administrators can manage automatic results.');
+      return;
+    }
+    const channelId = (message.mentions.channels.first() || message.channel).id;
+    const setting = content.replace(/<#\d+>/g, '').trim().split(/\s+/)[1];
+    if (setting !== 'on' && setting !== 'off') {
+      await message.channel.send('Usage: `!csautoresults on|off [#channel]`');
+      return;
+    }
+    await message.channel.send(await setAutoResults(message.guild.id, channelId, setting === 'on'));
+  }
+  else if (content === '!cslive' || content.startsWith('!cslive ')) {
+    // Live matches: !cslive, !cslive track 2 #live, !cslive stop #live
+    const args = content.replace(/<#\d+>/g, '').trim().split(/\s+/).slice(1);
+    const channel = message.mentions.channels.first() || message.channel;
+    const options = { guildId: message.guild ? message.guild.id : null, member: message.member };
+    
+    if (args[0] === 'track' && /^\d+$/.test(args[1] || '')) {
+      await message.channel.send(await trackLiveMatch({ ...options, number: parseInt(args[1], 10), channel }));
+    } else if (args[0] === 'stop') {
+      await message.channel.send(stopLiveTracking({ ...options, channelId: channel.id }));
+    } else if (args.length === 0) {
+      await message.channel.send(await buildLiveMatchesMessage());
+    } else {
+      await message.channel.send('Usage: `!cslive`, `!cslive track <number> [#channel]` or `!cslive stop [#channel]`');
+    }
+  }
+  else if (content.startsWith('!csfollow ') || content.startsWith('!csunfollow ')) {
+    // Follow a team: !csfollow Natus Vincere 30 #matches @fans
+    const args = content.replace(/<[#@]&?\d+>/g, '').trim().split(/\s+/).slice(1);
+    let minutesBefore = null;
+    if (args.length > 1 && /^\d+$/.test(args[args.length - 1])) {
+      minutesBefore = parseInt(args.pop(), 10);
+    }
+    const options = {
+      team: args.join(' '),
+      channel: message.mentions.channels.first() || null,
+      userId: message.author.id,
+      guildId: message.guild ? message.guild.id : null,
+      member: message.member
+    };
+    
+    if (content.startsWith('!csfollow ')) {
+      await message.channel.send(await followTeam({ ...options, minutesBefore, role: message.mentions.roles.first() || null }));
+    } else {
+      await message.channel.send(unfollowTeam(options));
+    }
+  }
+  else if (content === '!csfollows') {
+    await message.channel.send(buildFollowsMessage(message.author.id, message.guild ? message.guild.id : null));
+  }
+  else if (content === '!cssubscriptions') {
+    if (!message.guild) return;
+    await message.channel.send(buildSubscriptionsMessage(message.guild.id));
+  }
   // Hidden command - not listed in help
   else if (content.startsWith('!r')) {
     // Get mentioned user or first word after command
@@ -442,51 +2308,29 @@ client.on('messageCreate', async message => {
     await message.channel.send(`${target} is a retard.`);
   }
   else if (content.startsWith('!csrankings ')) {
-    // Extract date from command: !csrankings 2025/may/12
+    // Extract date from command: !csrankings 2025/may/12, !csrankings 2024-03, !csrankings last week
     const dateString = content.replace('!csrankings ', '').trim();
-    if (/^\d{4}\/[a-z]+\/\d{1,2}$/.test(dateString)) {
-      await message.channel.send(`Fetching CS team rankings for specific date: ${dateString}...`);
-      try {
-        const teams = await scraper.updateTeamRankings(dateString);
-        
-        const embed = new EmbedBuilder()
-          .setColor(config.embedColor)
-          .setTitle(`CS Team Rankings - ${dateString}`)
-          .setURL(`https://www.hltv.org/ranking/teams/${dateString}`)
-          .setDescription(`HLTV.org team rankings for ${dateString}:`)
-          .setTimestamp()
-          .setFooter({ text: 'Data from HLTV.org' });
-        
-        teams.slice(0, 10).forEach(team => {
-          embed.addFields({ 
-            name: `#${team.rank} ${team.name}`, 
-            value: `Points: ${team.points}`,
-            inline: true
-          });
-        });
-        
-        await message.channel.send({ embeds: [embed] });
-      } catch (error) {
-        await message.channel.send(`Error fetching rankings for ${dateString}. Please check the date format and try again.`);
-      }
-    } else {
-      await message.channel.send('Invalid date format. Please use format: `!csrankings YYYY/month/DD` (e.g., `!csrankings 2025/may/12`)');
+    const rankingDate = resolveRankingDate(dateString);
+    if (rankingDate) {
+      await message.channel.send(`Fetching CS team rankings of ${rankingDate}...`);
     }
-  }  else if (content === '!help') {
-    const embed = new EmbedBuilder()
-      .setColor(config.embedColor)
-      .setTitle('CS News Bot Commands')
-      .setDescription('Here are the available commands:')
-      .addFields(
-        { name: config.commands.checkNews, value: 'Get the latest CS news from HLTV.org', inline: false },
-        { name: config.commands.matches, value: 'Get upcoming CS matches', inline: false },
-        { name: config.commands.teams, value: 'Get current CS team rankings', inline: false },
-        { name: '!csreset', value: 'Admin only: Reset article history to prevent duplicates', inline: false },  
-        { name: '!help', value: 'Show this help message', inline: false }
-      )
-      .setFooter({ text: 'CS News Discord Bot' });
-    
-    await message.channel.send({ embeds: [embed] });
+    await message.channel.send(await buildRankingsForDateMessage(dateString));
+  }
+  else if (content === '!help') {
+    await message.channel.send({ embeds: [buildHelpEmbed(config)] });
+  }
+});
+
+// Drop the subscriptions and channel reminders of servers the bot was removed from
+client.on('guildDelete', guild => {
+  const removed = subscriptionStore.removeGuild(guild.id);
+  if (removed > 0) {
+    console.log(`Removed ${removed} news subscriptions of guild ${guild.id}`);
+  }
+  
+  const removedFollows = matchReminders.removeGuild(guild.id);
+  if (removedFollows > 0) {
+    console.log(`Removed ${removedFollows} channel match reminders of guild ${guild.id}`);
   }
 });
 
@@ -0,0 +1,85 @@
+/**
+ * Selector drift detection
+ *
+ * HLTV changes its markup from time to time. A parser whose selectors no
+ * longer match doesn't fail, it returns no items or items with empty fields.
+ * Each parser's output is checked against shape rules (how many items, which
+ * fields must be filled, what URLs look like) so a layout change is reported
+ * as such instead of silently falling through to the fallbacks.
+ */
+
+/**
+ * Error raised when a parser's output shows that the page layout changed
+ */
+class LayoutChangedError extends Error {
+  /**
+   * @param {string} parser - Parser that failed, e.g. "homepage"
+   * @param {string} selector - Selector the parser relies on
+   * @param {Array} problems - What didn't match the shape rules
+   * @param {string|null} snapshotPath - Saved HTML of the page, if it could be written
+   */
+  constructor(parser, selector, problems, snapshotPath = null) {
+    super(`Layout changed on ${parser}: selector "${selector}" ${problems.join('; ')}` +
+      (snapshotPath ? ` (HTML snapshot: ${snapshotPath})` : ''));
+    this.name = 'LayoutChangedError';
+    this.parser = parser;
+    this.selector = selector;
+    this.problems = problems;
+    this.snapshotPath = snapshotPath;
+  }
+}
+
+/**
+ * Check a parser's output against its shape rules
+ * A layout change usually breaks every item, so single incomplete items
+ * (e.g. a match with a TBD team) are tolerated as long as most items are valid
+ * @param {Array} items - Parsed items
+ * @param {Object} rules - Shape rules
+ * @param {number} rules.minCount - Minimum number of items the page always has (default 1)
+ * @param {Array} rules.requiredFields - Fields every item should have a value for
+ * @param {string} rules.urlField - Field holding the item's link
+ * @param {RegExp} rules.urlPattern - Pattern the links have to match
+ * @returns {Array} - Problems found, empty if the output has the expected shape
+ */
+function checkShape(items, { minCount = 1, requiredFields = [], urlField = null, urlPattern = null } = {}) {
+  if (items.length < minCount) {
+    return [`matched ${items.length} items, expected at least ${minCount}`];
+  }
+
+  const problems = [];
+  for (const field of requiredFields) {
+    const missing = items.filter(item => item[field] === undefined || item[field] === null || item[field] === '').length;
+    if (missing > items.length / 2) {
+      problems.push(`left "${field}" empty in ${missing} of ${items.length} items`);
+    }
+  }
+
+  if (urlField && urlPattern) {
+    const invalid = items.filter(item => !urlPattern.test(item[urlField] || '')).length;
+    if (invalid > items.length / 2) {
+      problems.push(`gave ${invalid} of ${items.length} "${urlField}" values that don't match ${urlPattern}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Throw a LayoutChangedError if a parser's output doesn't match its shape rules
+ * @param {string} parser - Parser name, e.g. "matches"
+ * @param {string} selector - Selector the parser relies on
+ * @param {Array} items - Parsed items
+ * @param {Object} rules - Shape rules, see checkShape
+ */
+function assertShape(parser, selector, items, rules) {
+  const problems = checkShape(items, rules);
+  if (problems.length > 0) {
+    throw new LayoutChangedError(parser, selector, problems);
+  }
+}
+
+module.exports = {
+  LayoutChangedError,
+  checkShape,
+  assertShape
+};
@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+
+// Discord errors that won't go away on retry: 50001 = Missing Access, 50013 = Missing Permissions
+const PERMISSION_ERROR_CODES = [50001, 50013];
+
+/**
+ * Live match tracker
+ *
+ * Keeps a status message per tracked match up to date. Each poll fetches the
+ * match state, edits the message when the score changed and stops tracking
+ * once the match is over. Tracked matches are stored on disk so tracking
+ * continues after a restart.
+ */
+class LiveMatchTracker {
+  /**
+   * @param {string} filePath - Path to the JSON file backing the tracker
+   * @param {Object} options - Tracker options
+   * @param {Function} options.fetchStatus - Async function(matchUrl) returning the match state
+   * @param {Function} options.updateMessage - Async function(tracked, status) that edits the status message, returns false if the message is gone
+   * @param {Function} options.finishMessage - Async function(tracked, status) called once when the match is over
+   * @param {number} options.pollIntervalMs - How often tracked matches are refreshed
+   * @param {number} options.maxPermissionErrors - Polls in a row a message may fail with a permission error before tracking stops
+   */
+  constructor(filePath, { fetchStatus, updateMessage, finishMessage, pollIntervalMs = 120 * 1000, maxPermissionErrors = 3 } = {}) {
+    this.filePath = filePath;
+    this.fetchStatus = fetchStatus;
+    this.updateMessage = updateMessage;
+    this.finishMessage = finishMessage;
+    this.pollIntervalMs = pollIntervalMs;
+    this.maxPermissionErrors = maxPermissionErrors;
+    this.timer = null;
+    this.polling = false;
+    this.tracked = {};
+
+    this.load();
+  }
+
+  /**
+   * Load tracked matches from disk
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.tracked = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).tracked || {};
+        console.log(`Loaded ${Object.keys(this.tracked).length} tracked live matches`);
+      }
+    } catch (error) {
+      console.error('Error loading tracked live matches from file:', error);
+    }
+  }
+
+  /**
+   * Save tracked matches to disk
+   */
+  save() {
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.writeFileSync(this.filePath, JSON.stringify({ tracked: this.tracked }, null, 2));
+    } catch (error) {
+      console.error('Error saving tracked live matches to file:', error);
+    }
+  }
+
+  /**
+   * Start tracking a match
+   * @param {Object} match - Match with matchId and matchUrl
+   * @param {string} channelId - Channel of the status message
+   * @param {string} messageId - Status message to keep up to date
+   * @returns {Object} - The tracked entry
+   */
+  track(match, channelId, messageId) {
+    const key = `${channelId}:${match.matchId || match.matchUrl}`;
+    this.tracked[key] = {
+      key,
+      channelId,
+      messageId,
+      matchUrl: match.matchUrl,
+      team1: match.team1,
+      team2: match.team2,
+      signature: null,
+      startedAt: new Date().toISOString()
+    };
+
+    this.save();
+    this.start();
+    return this.tracked[key];
+  }
+
+  /**
+   * Check if a match is already tracked in a channel
+   * @param {Object} match - Match with matchId and matchUrl
+   * @param {string} channelId - Channel ID
+   * @returns {Object|null} - Tracked entry or null
+   */
+  getTracked(match, channelId) {
+    return this.tracked[`${channelId}:${match.matchId || match.matchUrl}`] || null;
+  }
+
+  /**
+   * Stop tracking every match of a channel
+   * @param {string} channelId - Channel ID
+   * @returns {Array} - The removed entries
+   */
+  untrackChannel(channelId) {
+    const removed = Object.values(this.tracked).filter(entry => entry.channelId === channelId);
+    for (const entry of removed) {
+      delete this.tracked[entry.key];
+    }
+
+    if (removed.length > 0) {
+      this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * Get the number of tracked matches
+   * @returns {number} - Tracked match count
+   */
+  count() {
+    return Object.keys(this.tracked).length;
+  }
+
+  /**
+   * Build a signature of the parts of a match state shown in the message
+   * @param {Object} status - Match state
+   * @returns {string} - Signature that changes whenever a score changes
+   */
+  getSignature(status) {
+    return JSON.stringify([status.status, status.team1MapsWon, status.team2MapsWon, status.maps]);
+  }
+
+  /**
+   * Refresh every tracked match once
+   */
+  async poll() {
+    // Skip a poll if the previous one is still waiting on the rate limiter
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      for (const entry of Object.values(this.tracked)) {
+        let status;
+        try {
+          status = await this.fetchStatus(entry.matchUrl);
+        } catch (error) {
+          console.error(`Error refreshing live match ${entry.matchUrl}:`, error.message);
+          continue;
+        }
+
+        const signature = this.getSignature(status);
+        if (signature !== entry.signature) {
+          // A failed edit must not stop the other tracked matches from updating
+          // The signature is kept, so the edit is retried on the next poll
+          try {
+            const stillExists = await this.updateMessage(entry, status);
+            entry.signature = signature;
+            entry.permissionErrors = 0;
+
+            if (stillExists === false) {
+              console.log(`Status message of ${entry.matchUrl} is gone, stopping tracking`);
+              delete this.tracked[entry.key];
+              continue;
+            }
+          } catch (error) {
+            console.error(`Error updating the status message of ${entry.matchUrl}:`, error.message);
+            if (PERMISSION_ERROR_CODES.includes(error.code)) {
+              entry.permissionErrors = (entry.permissionErrors || 0) + 1;
+              if (entry.permissionErrors >= this.maxPermissionErrors) {
+                console.log(`No access to the status message of ${entry.matchUrl}, stopping tracking`);
+                delete this.tracked[entry.key];
+                continue;
+              }
+            }
+          }
+        }
+
+        if (status.status === 'over') {
+          console.log(`Live match ${entry.matchUrl} is over, stopping tracking`);
+          delete this.tracked[entry.key];
+          if (this.finishMessage) {
+            try {
+              await this.finishMessage(entry, status);
+            } catch (error) {
+              console.error(`Error finishing the status message of ${entry.matchUrl}:`, error.message);
+            }
+          }
+        }
+      }
+
+      this.save();
+    } finally {
+      this.polling = false;
+    }
+
+    if (this.count() === 0) {
+      this.stop();
+    }
+  }
+
+  /**
+   * Start polling tracked matches
+   */
+  start() {
+    if (this.timer || this.count() === 0) return;
+
+    this.timer = setInterval(() => {
+      this.poll().catch(error => console.error('Error polling live matches:', error));
+    }, this.pollIntervalMs);
+  }
+
+  /**
+   * Stop polling tracked matches
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = LiveMatchTracker;
@@ -0,0 +1,306 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeTeamName, isSameTeam } = require('./team-names');
+
+/**
+ * Match reminder scheduler
+ *
+ * Users and channels can follow teams. When an upcoming match of a followed
+ * team is found, a reminder is scheduled a set number of minutes before the
+ * match starts. Follows and scheduled reminders are stored on disk, so
+ * pending reminders survive restarts and are never sent twice.
+ */
+class MatchReminderScheduler {
+  /**
+   * @param {string} filePath - Path to the JSON file backing the scheduler
+   * @param {Object} options - Scheduler options
+   * @param {Function} options.sendReminder - Async function(follow, reminder) that delivers a reminder
+   * @param {number} options.tickIntervalMs - How often due reminders are checked
+   * @param {Function} options.now - Function returning the current time in milliseconds
+   */
+  constructor(filePath, { sendReminder, tickIntervalMs = 60 * 1000, now = Date.now } = {}) {
+    this.filePath = filePath;
+    this.sendReminder = sendReminder;
+    this.tickIntervalMs = tickIntervalMs;
+    this.now = now;
+    this.timer = null;
+    this.data = {
+      follows: [],
+      reminders: {}
+    };
+
+    this.load();
+  }
+
+  /**
+   * Load follows and reminders from disk
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const loaded = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.data = {
+          follows: loaded.follows || [],
+          reminders: loaded.reminders || {}
+        };
+        console.log(`Loaded ${this.data.follows.length} team follows and ${this.getPendingReminders().length} pending match reminders`);
+      }
+    } catch (error) {
+      console.error('Error loading match reminders from file:', error);
+    }
+  }
+
+  /**
+   * Save follows and reminders to disk
+   */
+  save() {
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.writeFileSync(this.filePath, JSON.stringify(this.data, null, 2));
+    } catch (error) {
+      console.error('Error saving match reminders to file:', error);
+    }
+  }
+
+  /**
+   * Build the ID of a follow from its target and team
+   * @param {string} targetType - 'user' or 'channel'
+   * @param {string} targetId - User or channel ID
+   * @param {string} team - Team name
+   * @returns {string} - Follow ID
+   */
+  getFollowId(targetType, targetId, team) {
+    return `${targetType}:${targetId}:${normalizeTeamName(team)}`;
+  }
+
+  /**
+   * Follow a team, or update an existing follow
+   * @param {Object} follow - Follow details
+   * @param {string} follow.team - Team name as shown on HLTV
+   * @param {string} follow.targetType - 'user' for a DM, 'channel' for a channel message
+   * @param {string} follow.targetId - User or channel ID
+   * @param {string} follow.guildId - Guild the follow was created in
+   * @param {string} follow.roleId - Optional role to ping in channel reminders
+   * @param {number} follow.minutesBefore - Minutes before the match to send the reminder
+   * @param {string} follow.createdBy - ID of the user who created the follow
+   * @returns {Object} - The stored follow
+   */
+  follow({ team, targetType, targetId, guildId = null, roleId = null, minutesBefore, createdBy = null }) {
+    const id = this.getFollowId(targetType, targetId, team);
+    const stored = {
+      id,
+      team,
+      targetType,
+      targetId,
+      guildId,
+      roleId,
+      minutesBefore,
+      createdBy,
+      createdAt: new Date(this.now()).toISOString()
+    };
+
+    const index = this.data.follows.findIndex(follow => follow.id === id);
+    if (index !== -1) {
+      this.data.follows[index] = stored;
+      // Reschedule unsent reminders with the new settings on the next sync
+      this.removeReminders(reminder => reminder.followId === id && !reminder.sentAt);
+    } else {
+      this.data.follows.push(stored);
+    }
+
+    this.save();
+    return stored;
+  }
+
+  /**
+   * Stop following a team
+   * @param {string} targetType - 'user' or 'channel'
+   * @param {string} targetId - User or channel ID
+   * @param {string} team - Team name
+   * @returns {boolean} - False if there was no such follow
+   */
+  unfollow(targetType, targetId, team) {
+    const id = this.getFollowId(targetType, targetId, team);
+    const before = this.data.follows.length;
+    this.data.follows = this.data.follows.filter(follow => follow.id !== id);
+
+    if (this.data.follows.length === before) {
+      return false;
+    }
+
+    this.removeReminders(reminder => reminder.followId === id);
+    this.save();
+    return true;
+  }
+
+  /**
+   * Remove every follow of a guild (e.g. when the bot leaves it)
+   * @param {string} guildId - Guild ID
+   * @returns {number} - Number of removed follows
+   */
+  removeGuild(guildId) {
+    const removedIds = this.data.follows
+      .filter(follow => follow.targetType === 'channel' && follow.guildId === guildId)
+      .map(follow => follow.id);
+
+    if (removedIds.length === 0) {
+      return 0;
+    }
+
+    this.data.follows = this.data.follows.filter(follow => !removedIds.includes(follow.id));
+    this.removeReminders(reminder => removedIds.includes(reminder.followId));
+    this.save();
+    return removedIds.length;
+  }
+
+  /**
+   * Get follows matching a filter
+   * @param {Function} predicate - Optional filter function
+   * @returns {Array} - Matching follows
+   */
+  getFollows(predicate = () => true) {
+    return this.data.follows.filter(predicate);
+  }
+
+  /**
+   * Get reminders that are scheduled but not sent yet
+   * @returns {Array} - Pending reminders
+   */
+  getPendingReminders() {
+    return Object.values(this.data.reminders).filter(reminder => !reminder.sentAt);
+  }
+
+  /**
+   * Remove reminders matching a filter
+   * @param {Function} predicate - Filter function
+   */
+  removeReminders(predicate) {
+    for (const [key, reminder] of Object.entries(this.data.reminders)) {
+      if (predicate(reminder)) {
+        delete this.data.reminders[key];
+      }
+    }
+  }
+
+  /**
+   * Schedule reminders for upcoming matches of followed teams
+   * @param {Array} matches - Upcoming matches with ISO startTime values
+   * @returns {number} - Number of newly scheduled reminders
+   */
+  syncMatches(matches) {
+    const now = this.now();
+    let scheduled = 0;
+
+    for (const match of matches) {
+      if (!match.startTime) continue;
+
+      const startMs = new Date(match.startTime).getTime();
+      if (Number.isNaN(startMs) || startMs <= now) continue;
+
+      const matchKey = match.matchId || match.matchUrl;
+
+      for (const follow of this.data.follows) {
+        if (!isSameTeam(follow.team, match.team1) && !isSameTeam(follow.team, match.team2)) continue;
+
+        const key = `${follow.id}|${matchKey}`;
+        const existing = this.data.reminders[key];
+        // Keep sent reminders, but follow start time changes of pending ones
+        if (existing && (existing.sentAt || existing.startTime === match.startTime)) continue;
+
+        this.data.reminders[key] = {
+          followId: follow.id,
+          matchKey,
+          team1: match.team1,
+          team2: match.team2,
+          matchMeta: match.matchMeta,
+          matchUrl: match.matchUrl,
+          startTime: match.startTime,
+          fireAt: new Date(startMs - follow.minutesBefore * 60 * 1000).toISOString(),
+          sentAt: null
+        };
+        scheduled++;
+      }
+    }
+
+    if (scheduled > 0) {
+      console.log(`Scheduled ${scheduled} new match reminders`);
+      this.save();
+    }
+
+    return scheduled;
+  }
+
+  /**
+   * Send every reminder that is due
+   * Reminders missed while the bot was offline are still sent as long as the
+   * match hasn't started yet
+   */
+  async tick() {
+    const now = this.now();
+    let changed = false;
+
+    for (const [key, reminder] of Object.entries(this.data.reminders)) {
+      const startMs = new Date(reminder.startTime).getTime();
+
+      // Forget reminders a day after their match started
+      if (now > startMs + 24 * 60 * 60 * 1000) {
+        delete this.data.reminders[key];
+        changed = true;
+        continue;
+      }
+
+      if (reminder.sentAt || now < new Date(reminder.fireAt).getTime()) continue;
+
+      const follow = this.data.follows.find(item => item.id === reminder.followId);
+      if (!follow || now >= startMs) {
+        // Follow was removed or the match already started, nothing to remind about
+        reminder.sentAt = new Date(now).toISOString();
+        changed = true;
+        continue;
+      }
+
+      // Mark as sent first so a failing target doesn't get retried every tick
+      reminder.sentAt = new Date(now).toISOString();
+      changed = true;
+
+      try {
+        await this.sendReminder(follow, reminder);
+      } catch (error) {
+        console.error(`Error sending match reminder for ${follow.team} to ${follow.targetType} ${follow.targetId}:`, error.message);
+      }
+    }
+
+    if (changed) {
+      this.save();
+    }
+  }
+
+  /**
+   * Start checking for due reminders
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => console.error('Error checking match reminders:', error));
+    }, this.tickIntervalMs);
+
+    // Send reminders that became due while the bot was offline
+    this.tick().catch(error => console.error('Error checking match reminders:', error));
+  }
+
+  /**
+   * Stop checking for due reminders
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = MatchReminderScheduler;
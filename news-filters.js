@@ -0,0 +1,82 @@
+/**
+ * Keyword filters for auto-posted news
+ *
+ * Each subscription can have include and exclude terms (teams, players or
+ * keywords). Terms are matched case-insensitively as whole words against the
+ * article's text.
+ */
+
+const FILTER_TYPES = ['include', 'exclude'];
+
+/**
+ * Create an empty filter set
+ * @returns {Object} - Filter set with empty include and exclude lists
+ */
+function createEmptyFilters() {
+  return { include: [], exclude: [] };
+}
+
+/**
+ * Normalize a filter term for storage and comparison
+ * @param {string} term - Raw term from a command
+ * @returns {string} - Trimmed, lowercased term with collapsed whitespace
+ */
+function normalizeFilterTerm(term) {
+  return String(term || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Check if a term appears in a text as a whole word
+ * @param {string} text - Text to search
+ * @param {string} term - Normalized term
+ * @returns {boolean} - True if the term is found
+ */
+function textContainsTerm(text, term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  // \b doesn't work next to non-word characters (e.g. "9z" works, "c++" doesn't),
+  // so look for a non-alphanumeric character or the string boundary instead
+  const pattern = new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`, 'i');
+  return pattern.test(text);
+}
+
+/**
+ * Get the searchable text of an article
+ * @param {Object} article - Article object
+ * @returns {string} - Text that filter terms are matched against
+ */
+function getArticleText(article) {
+  return [article.title, article.description]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Check if an article passes a subscription's filters
+ * An article passes if it matches at least one include term (when any are
+ * set) and none of the exclude terms
+ * @param {Object} article - Article object
+ * @param {Object} filters - Filter set with include and exclude lists
+ * @returns {boolean} - True if the article should be posted
+ */
+function articleMatchesFilters(article, filters) {
+  if (!filters) {
+    return true;
+  }
+
+  const text = getArticleText(article);
+  const include = filters.include || [];
+  const exclude = filters.exclude || [];
+
+  if (include.length > 0 && !include.some(term => textContainsTerm(text, term))) {
+    return false;
+  }
+
+  return !exclude.some(term => textContainsTerm(text, term));
+}
+
+module.exports = {
+  FILTER_TYPES,
+  createEmptyFilters,
+  normalizeFilterTerm,
+  articleMatchesFilters
+};
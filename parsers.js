@@ -0,0 +1,817 @@
+/**
+ * HLTV page parsers
+ *
+ * Pure functions that turn the HTML (or XML) of an HLTV.org page into plain
+ * objects. They don't make requests, read caches or log, so they can be tested
+ * offline against saved pages (see test/). The scraper fetches the pages and
+ * passes their content here.
+ *
+ * Parsers of the list pages read their selectors from selectors.json, or from
+ * the selectors passed in (the scraper passes them with the config.json
+ * overrides applied), and throw a LayoutChangedError when their output doesn't
+ * have the expected shape.
+ */
+
+const cheerio = require('cheerio');
+const { assertShape } = require('./layout-check');
+const { pages: DEFAULT_SELECTORS } = require('./selectors.json');
+
+const BASE_URL = 'https://www.hltv.org';
+
+// Links of news articles and matches, used to check that the parsers still find them
+const NEWS_URL_PATTERN = /^https:\/\/www\.hltv\.org\/news\/\d+\//;
+const MATCH_URL_PATTERN = /\/matches\/\d+\//;
+
+// Full names of HLTV's short map codes
+const MAP_NAMES = {
+  anc: 'Ancient',
+  anb: 'Anubis',
+  d2: 'Dust2',
+  inf: 'Inferno',
+  mrg: 'Mirage',
+  nuke: 'Nuke',
+  ovp: 'Overpass',
+  trn: 'Train',
+  vtg: 'Vertigo'
+};
+
+/**
+ * Convert a scraped date to an ISO-8601 UTC timestamp
+ * @param {number|string} value - Unix time in milliseconds (HLTV's data-unix attributes), an RSS pubDate or a sitemap lastmod
+ * @returns {string|null} - ISO timestamp, e.g. "2025-05-12T14:00:00.000Z", or null if the value isn't a valid date
+ */
+function parseTimestamp(value) {
+  const text = String(value === undefined || value === null ? '' : value).trim();
+  if (!text) {
+    return null;
+  }
+
+  const date = /^\d+$/.test(text) ? new Date(Number(text)) : new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Extract the team ID and profile URL from a /team/ link
+ * @param {string} href - Link such as "/team/4608/natus-vincere"
+ * @returns {Object} - { teamId, teamUrl } or an empty object
+ */
+function parseTeamLink(href) {
+  const match = (href || '').match(/^\/team\/(\d+)\/[^/?#]+/);
+  return match ? { teamId: match[1], teamUrl: BASE_URL + match[0] } : {};
+}
+
+/**
+ * Get the full map name from HLTV's short map codes
+ * @param {string} code - Map code (e.g. "mrg")
+ * @returns {string} - Map name (e.g. "Mirage")
+ */
+function getMapName(code) {
+  return MAP_NAMES[code] || code.charAt(0).toUpperCase() + code.slice(1);
+}
+
+/**
+ * Get the value of one field fallback
+ * @param {CheerioAPI} $ - Loaded page
+ * @param {Cheerio} element - Item element
+ * @param {string|Object} entry - Field fallback, see selector-config.js
+ * @returns {string|Array|boolean} - Value, empty if nothing matched
+ */
+function extractEntry($, element, entry) {
+  if (typeof entry === 'string') {
+    entry = { selector: entry };
+  }
+
+  if (entry.is) {
+    return element.is(entry.is);
+  }
+
+  const matches = entry.selector === ':self' ? element : element.find(entry.selector);
+  const read = match => (entry.attribute ? $(match).attr(entry.attribute) : $(match).text()) || '';
+
+  if (entry.all) {
+    return matches.map((i, match) => read(match).trim()).get().filter(Boolean);
+  }
+  return matches.length > 0 ? read(matches.first()).trim() : '';
+}
+
+/**
+ * Check if a field value was found
+ * @param {string|Array|boolean} value - Field value
+ * @returns {boolean} - False for empty strings, empty lists and false
+ */
+function hasValue(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Get a field of an item from the first fallback that finds a value
+ * @param {CheerioAPI} $ - Loaded page
+ * @param {Cheerio} element - Item element
+ * @param {Array} entries - Ordered field fallbacks
+ * @returns {string|Array|boolean} - Value of the first fallback with one, or the empty value of the last fallback
+ */
+function extractField($, element, entries) {
+  let value = '';
+  for (const entry of entries) {
+    value = extractEntry($, element, entry);
+    if (hasValue(value)) {
+      return value;
+    }
+  }
+  return value;
+}
+
+/**
+ * Read the items of a page with its selectors
+ * The first item selector that matches anything is used, later ones are fallbacks
+ * @param {CheerioAPI} $ - Loaded page
+ * @param {Object} definition - { items, fields } of the page
+ * @returns {Object} - { selector, rows }, selector is the one that matched or every fallback when none did
+ */
+function parseItems($, { items, fields }) {
+  const selector = items.find(candidate => $(candidate).length > 0);
+  if (!selector) {
+    return { selector: items.join(' | '), rows: [] };
+  }
+
+  const rows = $(selector).map((i, element) => {
+    const row = {};
+    for (const [field, entries] of Object.entries(fields)) {
+      row[field] = extractField($, $(element), entries);
+    }
+    return row;
+  }).get();
+
+  return { selector, rows };
+}
+
+/**
+ * Parse the news articles of the homepage
+ * @param {string} html - Homepage
+ * @param {Object} options - Parser options
+ * @param {Object} options.selectors - Page selectors (default: selectors.json)
+ * @returns {Array} - Standard articles followed by the featured ones
+ */
+function parseHomepage(html, { selectors = DEFAULT_SELECTORS } = {}) {
+  const $ = cheerio.load(html);
+  const articles = [];
+
+  // Get articles from the standard news section
+  // The homepage only shows relative times; the unix attribute is used when present
+  const standard = parseItems($, selectors.homepage);
+  for (const row of standard.rows) {
+    articles.push({
+      title: row.title,
+      url: BASE_URL + row.url,
+      publishedAt: parseTimestamp(row.publishedAt),
+      type: 'standard'
+    });
+  }
+
+  // Get featured articles
+  const featured = parseItems($, selectors.homepageFeatured);
+  for (const row of featured.rows) {
+    articles.push({
+      title: row.title,
+      url: BASE_URL + row.url,
+      image: row.image || null,
+      publishedAt: parseTimestamp(row.publishedAt),
+      type: 'featured'
+    });
+  }
+
+  assertShape('homepage', `${standard.selector}, ${featured.selector}`, articles, {
+    requiredFields: ['title'],
+    urlField: 'url',
+    urlPattern: NEWS_URL_PATTERN
+  });
+
+  return articles;
+}
+
+/**
+ * Parse the news articles of the RSS feed
+ * @param {string} xml - RSS feed
+ * @param {Object} options - Parser options
+ * @param {Object} options.selectors - Page selectors (default: selectors.json)
+ * @returns {Array} - Articles in feed order
+ */
+function parseRss(xml, { selectors = DEFAULT_SELECTORS } = {}) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const { selector, rows } = parseItems($, selectors.rss);
+  const articles = rows.map(row => ({
+    title: row.title,
+    url: row.url,
+    publishedAt: parseTimestamp(row.publishedAt),
+    type: 'standard'
+  }));
+
+  assertShape('rss', selector, articles, {
+    requiredFields: ['title'],
+    urlField: 'url',
+    urlPattern: NEWS_URL_PATTERN
+  });
+
+  return articles;
+}
+
+/**
+ * Parse the news articles of the news sitemap
+ * @param {string} xml - News sitemap
+ * @param {Object} options - Parser options
+ * @param {Object} options.selectors - Page selectors (default: selectors.json)
+ * @returns {Array} - The first 20 articles of the sitemap
+ */
+function parseSitemap(xml, { selectors = DEFAULT_SELECTORS } = {}) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const { selector, rows } = parseItems($, selectors.sitemap);
+
+  const articles = rows.slice(0, 20).map(row => {
+    // Entries without a news title are named after the URL slug
+    const title = row.title || row.url.split('/').pop().replace(/-/g, ' ');
+
+    return {
+      title: title.charAt(0).toUpperCase() + title.slice(1), // Capitalize first letter
+      url: row.url,
+      publishedAt: parseTimestamp(row.publishedAt),
+      type: 'standard'
+    };
+  });
+
+  assertShape('sitemap', selector, articles, {
+    urlField: 'url',
+    urlPattern: NEWS_URL_PATTERN
+  });
+
+  return articles;
+}
+
+/**
+ * Parse a news article
+ * @param {string} html - Article page
+ * @returns {Object} - { title, author, publishedAt, excerpt, text, image }
+ */
+function parseArticle(html) {
+  const $ = cheerio.load(html);
+
+  // The bold lead paragraph comes first, followed by the article body
+  const paragraphs = $('.headertext, .newstext-con p.news-block, .newstext-con > p')
+    .map((i, element) => $(element).text().trim().replace(/\s+/g, ' '))
+    .get()
+    .filter(text => text.length > 0);
+
+  let excerpt = '';
+  for (const paragraph of paragraphs) {
+    if (excerpt && excerpt.length + paragraph.length > 600) break;
+    excerpt = excerpt ? `${excerpt}\n\n${paragraph}` : paragraph;
+  }
+
+  const publishedAt = parseTimestamp($('.article-info [data-unix], .date[data-unix]').first().attr('data-unix')) ||
+    parseTimestamp($('meta[property="article:published_time"]').attr('content'));
+
+  // The full text is kept for summaries, capped so the cache stays small
+  const text = paragraphs.join('\n\n');
+
+  return {
+    title: $('.headline').first().text().trim() || $('meta[property="og:title"]').attr('content') || null,
+    author: $('.article-info .authorName, .author .authorName').first().text().trim() ||
+      $('meta[name="author"]').attr('content') || null,
+    publishedAt,
+    excerpt: excerpt.length > 1000 ? `${excerpt.slice(0, 997)}...` : excerpt || null,
+    text: text.slice(0, 10000) || null,
+    image: $('meta[property="og:image"]').attr('content') || null
+  };
+}
+
+/**
+ * Parse the upcoming matches of the matches page
+ * @param {string} html - Matches page
+ * @param {Object} options - Parser options
+ * @param {Object} options.selectors - Page selectors (default: selectors.json)
+ * @returns {Array} - Every upcoming match on the page
+ */
+function parseUpcomingMatches(html, { selectors = DEFAULT_SELECTORS } = {}) {
+  const $ = cheerio.load(html);
+  const { selector, rows } = parseItems($, selectors.matches);
+
+  const matches = rows.map(row => {
+    const matchIdMatch = row.matchPath.match(/\/matches\/(\d+)/);
+
+    return {
+      matchId: matchIdMatch ? matchIdMatch[1] : null,
+      team1: row.team1,
+      team2: row.team2,
+      matchTime: row.matchTime,
+      // HLTV renders match times client-side from a unix timestamp in milliseconds
+      startTime: parseTimestamp(row.unixTime),
+      matchMeta: row.matchMeta,
+      matchUrl: BASE_URL + row.matchPath
+    };
+  });
+
+  assertShape('matches', selector, matches, {
+    requiredFields: ['matchId'],
+    urlField: 'matchUrl',
+    urlPattern: MATCH_URL_PATTERN
+  });
+
+  return matches;
+}
+
+/**
+ * Parse the live matches of the matches page
+ * @param {string} html - Matches page
+ * @returns {Array} - Live matches with series and current map scores, empty if none are live
+ */
+function parseLiveMatches(html) {
+  const $ = cheerio.load(html);
+  const matches = [];
+
+  $('.liveMatchesContainer .liveMatch').each((i, element) => {
+    const teams = $(element).find('.matchTeam');
+    const matchPath = $(element).find('a.match').attr('href') || '';
+    const matchIdMatch = matchPath.match(/\/matches\/(\d+)/);
+    const readScore = (team, selector) => {
+      const score = parseInt(teams.eq(team).find(selector).first().text().replace(/[^0-9]/g, ''), 10);
+      return Number.isNaN(score) ? null : score;
+    };
+
+    const match = {
+      matchId: matchIdMatch ? matchIdMatch[1] : null,
+      team1: teams.eq(0).find('.matchTeamName').text().trim(),
+      team2: teams.eq(1).find('.matchTeamName').text().trim(),
+      team1MapsWon: readScore(0, '.mapScore'),
+      team2MapsWon: readScore(1, '.mapScore'),
+      team1CurrentScore: readScore(0, '.currentMapScore'),
+      team2CurrentScore: readScore(1, '.currentMapScore'),
+      matchMeta: $(element).find('.matchMeta').text().trim(),
+      event: $(element).find('.matchEventName').text().trim(),
+      matchUrl: BASE_URL + matchPath
+    };
+
+    if (match.team1 && match.team2 && matchPath) {
+      matches.push(match);
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Parse the results page
+ * @param {string} html - Results page
+ * @returns {Array} - Finished matches, newest first. Forfeits have forfeit set, no format and no maps
+ */
+function parseResults(html) {
+  const $ = cheerio.load(html);
+  const results = [];
+
+  // Only use the full results list, the featured results at the top repeat its entries
+  $('.results-all .result-con').each((i, element) => {
+    const team1 = $(element).find('.team1 .team').text().trim();
+    const team2 = $(element).find('.team2 .team').text().trim();
+    const scores = $(element).find('.result-score span');
+    const team1Score = parseInt(scores.eq(0).text(), 10);
+    const team2Score = parseInt(scores.eq(1).text(), 10);
+    const event = $(element).find('.event-name').text().trim();
+    const mapText = $(element).find('.map-text').text().trim().toLowerCase();
+    const matchPath = $(element).find('a.a-reset').attr('href') || '';
+    const playedAt = parseTimestamp($(element).attr('data-zonedgrouping-entry-unix'));
+    const matchIdMatch = matchPath.match(/\/matches\/(\d+)/);
+
+    if (!team1 || !team2 || Number.isNaN(team1Score) || Number.isNaN(team2Score)) {
+      return;
+    }
+
+    // Series show their format (bo3), single maps show the map and the round score
+    // Forfeits show "def" and a 1-0 score, no map was played
+    const isSeries = /^bo\d$/.test(mapText);
+    const forfeit = mapText === 'def';
+
+    results.push({
+      matchId: matchIdMatch ? matchIdMatch[1] : null,
+      team1,
+      team2,
+      team1Score,
+      team2Score,
+      winner: team1Score > team2Score ? team1 : team2,
+      event,
+      format: forfeit ? null : isSeries ? mapText : 'bo1',
+      maps: !isSeries && !forfeit && mapText ? [{ name: getMapName(mapText), team1Score, team2Score }] : [],
+      forfeit,
+      playedAt,
+      matchUrl: BASE_URL + matchPath
+    });
+  });
+
+  assertShape('results', '.results-all .result-con', results, {
+    urlField: 'matchUrl',
+    urlPattern: MATCH_URL_PATTERN
+  });
+
+  return results;
+}
+
+/**
+ * Parse a match page
+ * @param {string} html - Match page
+ * @returns {Object} - Teams, series score, event, start time, played maps and status ("upcoming", "live" or "over")
+ */
+function parseMatch(html) {
+  const $ = cheerio.load(html);
+  const maps = [];
+
+  $('.mapholder').each((i, element) => {
+    const name = $(element).find('.mapname').text().trim();
+    const team1Score = parseInt($(element).find('.results-left .results-team-score').text(), 10);
+    const team2Score = parseInt($(element).find('.results-right .results-team-score').text(), 10);
+
+    // Maps that haven't been played (yet) show "-" instead of a score
+    if (name && !Number.isNaN(team1Score) && !Number.isNaN(team2Score)) {
+      maps.push({ name, team1Score, team2Score });
+    }
+  });
+
+  // The countdown element shows "LIVE" while playing and "Match over" afterwards
+  const countdown = $('.timeAndEvent .countdown').first().text().trim().toLowerCase();
+  let status = 'upcoming';
+  if (countdown === 'live') {
+    status = 'live';
+  } else if (countdown.includes('over') || countdown.includes('postponed') || countdown.includes('deleted')) {
+    status = 'over';
+  }
+
+  return {
+    team1: $('.team1-gradient .teamName').first().text().trim(),
+    team2: $('.team2-gradient .teamName').first().text().trim(),
+    team1MapsWon: parseInt($('.team1-gradient > div').last().text(), 10) || 0,
+    team2MapsWon: parseInt($('.team2-gradient > div').last().text(), 10) || 0,
+    event: $('.timeAndEvent .event a').first().text().trim(),
+    startTime: parseTimestamp($('.timeAndEvent .time').first().attr('data-unix')),
+    maps,
+    status
+  };
+}
+
+/**
+ * Parse the teams of a rankings page, dated or generic
+ * @param {string} html - Rankings page
+ * @param {Object} options - Parser options
+ * @param {Object} options.selectors - Page selectors (default: selectors.json)
+ * @returns {Array} - Ranked teams in page order, rows without a rank or name are skipped
+ */
+function parseRankings(html, { selectors = DEFAULT_SELECTORS } = {}) {
+  const $ = cheerio.load(html);
+  const { selector, rows } = parseItems($, selectors.rankings);
+  const teams = rows
+    .filter(row => row.rank && row.name)
+    .map(row => ({
+      rank: row.rank,
+      name: row.name,
+      points: row.points || 'N/A',
+      ...parseTeamLink(row.teamPath)
+    }));
+
+  // A ranking always lists far more teams, a handful means the rows are matched by accident
+  assertShape('rankings', selector, teams, {
+    minCount: 5,
+    requiredFields: ['rank', 'name']
+  });
+
+  return teams;
+}
+
+/**
+ * Parse a team page
+ * @param {string} html - Team page
+ * @returns {Object} - { name, country, worldRanking, coach, roster, recentResults, upcomingMatches }, missing values are null
+ */
+function parseTeamProfile(html) {
+  const $ = cheerio.load(html);
+
+  // Profile stats are label/value pairs such as "World ranking" -> "#1"
+  const stats = {};
+  $('.profile-team-stat').each((i, element) => {
+    const label = $(element).find('b').first().text().trim().toLowerCase();
+    const value = $(element).find('.right, a').first().text().trim();
+    if (label) {
+      stats[label] = value;
+    }
+  });
+
+  const roster = [];
+  $('.bodyshot-team a.col-custom').each((i, element) => {
+    const nick = $(element).attr('title') || $(element).find('.bold').first().text().trim();
+    if (nick && !roster.includes(nick)) {
+      roster.push(nick);
+    }
+  });
+
+  // Finished and upcoming matches share the same table layout, upcoming ones have no score
+  const recentResults = [];
+  const upcomingMatches = [];
+  $('.match-table .team-row').each((i, element) => {
+    const scores = $(element).find('.score-cell .score');
+    const team1Score = parseInt(scores.eq(0).text(), 10);
+    const team2Score = parseInt(scores.eq(1).text(), 10);
+    const match = {
+      team1: $(element).find('.team-name.team-1').text().trim(),
+      team2: $(element).find('.team-name.team-2').text().trim(),
+      date: parseTimestamp($(element).find('[data-unix]').first().attr('data-unix')),
+      matchUrl: BASE_URL + ($(element).find('a[href^="/matches/"]').first().attr('href') || '/matches')
+    };
+
+    if (!match.team1 || !match.team2) return;
+
+    if (Number.isNaN(team1Score) || Number.isNaN(team2Score)) {
+      upcomingMatches.push(match);
+    } else {
+      recentResults.push({ ...match, team1Score, team2Score });
+    }
+  });
+
+  return {
+    name: $('.profile-team-name').first().text().trim() || null,
+    country: $('.team-country').first().text().trim(),
+    worldRanking: stats['world ranking'] || null,
+    coach: stats['coach'] || null,
+    roster,
+    recentResults: recentResults.slice(0, 5),
+    upcomingMatches: upcomingMatches.slice(0, 3)
+  };
+}
+
+/**
+ * Parse a player's stats page
+ * @param {string} html - Player stats page
+ * @returns {Object} - { rating, mapsPlayed, kdRatio, adr, kast }, missing stats are null
+ */
+function parsePlayerStats(html) {
+  const $ = cheerio.load(html);
+
+  // The stats page shows label/value pairs in the summary boxes and the stats rows
+  const stats = {};
+  $('.summaryStatBreakdown').each((i, element) => {
+    const label = $(element).find('.summaryStatBreakdownSubHeader').first().text().trim().toLowerCase();
+    const value = $(element).find('.summaryStatBreakdownDataValue').first().text().trim();
+    if (label) stats[label] = value;
+  });
+  $('.stats-row').each((i, element) => {
+    const label = $(element).find('span').first().text().trim().toLowerCase();
+    const value = $(element).find('span').last().text().trim();
+    if (label && !stats[label]) stats[label] = value;
+  });
+
+  const findStat = pattern => {
+    const key = Object.keys(stats).find(label => pattern.test(label));
+    return key ? stats[key] : null;
+  };
+
+  return {
+    rating: findStat(/rating/),
+    mapsPlayed: findStat(/maps played/),
+    kdRatio: findStat(/k\/d ratio/),
+    adr: findStat(/^adr|damage \/ round/),
+    kast: findStat(/^kast/)
+  };
+}
+
+/**
+ * Parse a player page
+ * @param {string} html - Player page
+ * @returns {Object} - { nickname, realName, country, team, teamUrl, teamHistory }, missing values are null
+ */
+function parsePlayerProfile(html) {
+  const $ = cheerio.load(html);
+  const teamLink = $('.playerTeam a[href^="/team/"]').first();
+
+  // Team history table, newest first
+  const teamHistory = [];
+  $('.team-breakdown .team').each((i, element) => {
+    const team = $(element).find('.team-name-cell .team-name').first().text().trim();
+    const period = $(element).find('.time-period-cell').first().text().trim().replace(/\s+/g, ' ');
+    if (team) {
+      teamHistory.push({ team, period });
+    }
+  });
+
+  return {
+    nickname: $('.playerNickname').first().text().trim() || null,
+    realName: $('.playerRealname').first().text().trim() || null,
+    country: $('.playerRealname .flag').first().attr('title') || null,
+    team: teamLink.text().trim() || null,
+    teamUrl: parseTeamLink(teamLink.attr('href')).teamUrl || null,
+    teamHistory: teamHistory.slice(0, 5)
+  };
+}
+
+/**
+ * Parse the events page
+ * @param {string} html - Events page
+ * @param {Object} options - Parser options
+ * @param {Object} options.selectors - Page selectors (default: selectors.json)
+ * @param {number} options.now - Current time in milliseconds, decides which listed events are running
+ * @returns {Array} - Ongoing events first, then upcoming events by start date
+ */
+function parseEvents(html, { selectors = DEFAULT_SELECTORS, now = Date.now() } = {}) {
+  const $ = cheerio.load(html);
+  const events = [];
+
+  // Ongoing events, featured ("big") events and the regular event list share most fields
+  const { selector, rows } = parseItems($, selectors.events);
+  for (const row of rows) {
+    const { href, name } = row;
+    const idMatch = href.match(/^\/events\/(\d+)\//);
+    if (!idMatch || !name) continue;
+
+    const dates = row.dates
+      .map(unix => parseInt(unix, 10))
+      .filter(unix => !Number.isNaN(unix));
+    const startDate = dates.length > 0 ? new Date(dates[0]).toISOString() : null;
+    const endDate = dates.length > 0 ? new Date(dates[dates.length - 1]).toISOString() : null;
+
+    const isOngoing = row.ongoing ||
+      (startDate && endDate && new Date(startDate).getTime() <= now && now <= new Date(endDate).getTime() + 24 * 60 * 60 * 1000);
+
+    // Regular events list the team count first and the prize pool next to it
+    const teamCount = parseInt(row.teamCount, 10);
+    const eventType = row.eventType;
+
+    const event = {
+      eventId: idMatch[1],
+      name,
+      startDate,
+      endDate,
+      location: row.location || null,
+      prizePool: row.prizePool || null,
+      teamCount: Number.isNaN(teamCount) ? null : teamCount,
+      teams: row.teams,
+      tier: /major/i.test(eventType) || /\bmajor\b/i.test(name) ? 'Major' : (eventType || null),
+      featured: row.big || /\bmajor\b/i.test(name),
+      status: isOngoing ? 'ongoing' : 'upcoming',
+      eventUrl: BASE_URL + idMatch[0] + href.slice(idMatch[0].length)
+    };
+
+    // Running events are listed both as ongoing and in the event list, keep the details of both
+    const existing = events.find(other => other.eventId === event.eventId);
+    if (existing) {
+      for (const [key, value] of Object.entries(event)) {
+        if (existing[key] === null || (Array.isArray(existing[key]) && existing[key].length === 0)) {
+          existing[key] = value;
+        }
+      }
+      existing.featured = existing.featured || event.featured;
+      if (event.status === 'ongoing') existing.status = 'ongoing';
+    } else {
+      events.push(event);
+    }
+  }
+
+  assertShape('events', selector, events, {
+    requiredFields: ['name'],
+    urlField: 'eventUrl',
+    urlPattern: /\/events\/\d+\//
+  });
+
+  // Ongoing events first, then by start date
+  return events.sort((a, b) => (a.status === b.status ? 0 : a.status === 'ongoing' ? -1 : 1) ||
+    (a.startDate || '').localeCompare(b.startDate || ''));
+}
+
+/**
+ * Parse an event page
+ * @param {string} html - Event page
+ * @returns {Object} - { name, location, prizePool, groups, bracket }, missing values are null
+ */
+function parseEvent(html) {
+  const $ = cheerio.load(html);
+
+  // Group tables: a header with the group name, then one row per team with its record
+  const groups = [];
+  $('.groups-container .group, .group-standings, .swiss-standings').each((i, element) => {
+    const name = $(element).find('.group-name, .table-header, th').first().text().trim() || `Group ${i + 1}`;
+    const teams = [];
+
+    $(element).find('tr').each((j, row) => {
+      const team = $(row).find('a[href^="/team/"], .team-name, .group-team').first().text().trim();
+      if (!team) return;
+
+      // Numeric cells are place, wins and losses in that order; Swiss tables show "W-L" instead
+      const numbers = $(row).find('td')
+        .map((k, cell) => $(cell).text().trim())
+        .get()
+        .filter(text => /^\d+$|^\d+\s*-\s*\d+$/.test(text));
+      const record = numbers.find(text => text.includes('-'));
+      const integers = numbers.filter(text => !text.includes('-')).map(Number);
+      const [wins, losses] = record ? record.split('-').map(value => parseInt(value, 10)) : integers.slice(-2);
+
+      teams.push({
+        place: teams.length + 1,
+        name: team,
+        wins: Number.isInteger(wins) ? wins : null,
+        losses: Number.isInteger(losses) ? losses : null
+      });
+    });
+
+    if (teams.length > 0) {
+      groups.push({ name, teams });
+    }
+  });
+
+  // Bracket matches grouped by round, in the order HLTV shows them
+  const bracket = [];
+  const parseScore = text => (/^\d+$/.test(text) ? parseInt(text, 10) : null);
+  $('.slotted-bracket .match, .bracket .match').each((i, element) => {
+    const round = $(element).closest('.round, .bracket-column').find('.round-header, .bracket-column-header').first().text().trim() || 'Playoffs';
+    const teams = $(element).find('.team, .slot').map((j, slot) => ({
+      name: $(slot).find('.team-name, .name').first().text().trim() || 'TBD',
+      score: $(slot).find('.score').first().text().trim()
+    })).get();
+    if (teams.length < 2) return;
+
+    let roundEntry = bracket.find(entry => entry.round === round);
+    if (!roundEntry) {
+      roundEntry = { round, matches: [] };
+      bracket.push(roundEntry);
+    }
+
+    const href = $(element).find('a[href^="/matches/"]').first().attr('href') || $(element).closest('a[href^="/matches/"]').attr('href');
+    roundEntry.matches.push({
+      team1: teams[0].name,
+      team2: teams[1].name,
+      team1Score: parseScore(teams[0].score),
+      team2Score: parseScore(teams[1].score),
+      matchUrl: href ? BASE_URL + href : null
+    });
+  });
+
+  return {
+    name: $('.event-hub-title, .eventname').first().text().trim() || null,
+    location: $('.location .flag-align, td.location').first().text().trim() || null,
+    prizePool: $('td.prizepool').first().text().trim() || null,
+    groups,
+    bracket
+  };
+}
+
+/**
+ * Parse the transfers page
+ * @param {string} html - Transfers page
+ * @returns {Array} - Transfers with player, from-team, to-team and date, newest first
+ */
+function parseTransfers(html) {
+  const $ = cheerio.load(html);
+  const transfers = [];
+
+  $('.transfer-row').each((i, element) => {
+    const playerLink = $(element).find('a[href^="/player/"]').first();
+    const player = playerLink.text().trim() || $(element).find('.transfer-player-container').first().text().trim();
+    if (!player) return;
+
+    // Team logos carry the team names; a missing side means free agent, retired or benched
+    const teamName = selector => {
+      const team = $(element).find(selector).first();
+      return team.find('img[title]').first().attr('title') || team.find('a[href^="/team/"]').first().text().trim() || team.text().trim() || null;
+    };
+    const date = parseTimestamp($(element).find('[data-unix]').first().attr('data-unix'));
+    const fromTeam = teamName('.transfer-team-container .old-team, .old-team');
+    const toTeam = teamName('.transfer-team-container .new-team, .new-team');
+
+    transfers.push({
+      transferId: [player, fromTeam || '-', toTeam || '-', date ? date.slice(0, 10) : ''].join('|').toLowerCase(),
+      player,
+      playerUrl: playerLink.attr('href') ? BASE_URL + playerLink.attr('href') : null,
+      fromTeam,
+      toTeam,
+      description: $(element).find('.transfer-movement').first().text().trim().replace(/\s+/g, ' ') || null,
+      date
+    });
+  });
+
+  assertShape('transfers', '.transfer-row', transfers, {
+    requiredFields: ['player']
+  });
+
+  return transfers;
+}
+
+module.exports = {
+  parseTimestamp,
+  parseTeamLink,
+  getMapName,
+  parseHomepage,
+  parseRss,
+  parseSitemap,
+  parseArticle,
+  parseUpcomingMatches,
+  parseLiveMatches,
+  parseResults,
+  parseMatch,
+  parseRankings,
+  parseTeamProfile,
+  parsePlayerStats,
+  parsePlayerProfile,
+  parseEvents,
+  parseEvent,
+  parseTransfers
+};
@@ -0,0 +1,155 @@
+/**
+ * HLTV ranking date resolution
+ *
+ * HLTV publishes a new team ranking every Monday, and ranking pages are
+ * addressed as /ranking/teams/YYYY/month/D. This module turns user input
+ * ("last week", "2024-03", "2024-03-14", "2025/may/12") into the Monday of
+ * the ranking that was current at that time. Dates are handled in UTC and
+ * stored as YYYY-MM-DD keys.
+ */
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a Date as a YYYY-MM-DD key
+ * @param {Date} date - Date to format
+ * @returns {string} - Date key in UTC
+ */
+function formatDateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Build a UTC date, rejecting overflowing values such as February 30
+ * @param {number} year - Full year
+ * @param {number} month - Month from 1 to 12
+ * @param {number} day - Day of the month
+ * @returns {Date|null} - Date or null if it doesn't exist
+ */
+function createUtcDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Get the ranking Monday in effect on a date (the Monday on or before it)
+ * @param {Date} date - Any date
+ * @returns {string} - Date key of the ranking Monday
+ */
+function getRankingMonday(date = new Date()) {
+  const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+  const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) - daysSinceMonday * DAY_MS);
+  return formatDateKey(monday);
+}
+
+/**
+ * Convert an HLTV ranking date (YYYY/month/D) to a date key (YYYY-MM-DD)
+ * @param {string} dateString - Ranking date, e.g. "2025/may/12"
+ * @returns {string|null} - Date key, e.g. "2025-05-12", or null if invalid
+ */
+function toDateKey(dateString) {
+  const match = String(dateString || '').toLowerCase().match(/^(\d{4})\/([a-z]+)\/(\d{1,2})$/);
+  if (!match || !MONTHS.includes(match[2])) {
+    return null;
+  }
+
+  const date = createUtcDate(Number(match[1]), MONTHS.indexOf(match[2]) + 1, Number(match[3]));
+  return date ? formatDateKey(date) : null;
+}
+
+/**
+ * Convert a date key (YYYY-MM-DD) to an HLTV ranking date (YYYY/month/D)
+ * @param {string} dateKey - Date key, e.g. "2025-05-05"
+ * @returns {string} - Ranking date as used in ranking URLs, e.g. "2025/may/5"
+ */
+function toDateString(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return `${year}/${MONTHS[month - 1]}/${day}`;
+}
+
+/**
+ * Get the keys of the weekly rankings up to a ranking date
+ * @param {string} latestDate - Date key of the latest ranking (a Monday)
+ * @param {number} weeks - Number of weeks to include, the latest one included
+ * @returns {Array} - Date keys, oldest first
+ */
+function getWeeklyDates(latestDate, weeks) {
+  const dates = [];
+  const date = new Date(`${latestDate}T00:00:00Z`);
+  for (let i = 0; i < weeks; i++) {
+    dates.unshift(formatDateKey(date));
+    date.setUTCDate(date.getUTCDate() - 7);
+  }
+  return dates;
+}
+
+/**
+ * Resolve user input to the ranking Monday it refers to
+ * Accepted input:
+ * - nothing, "latest", "today" or "this week": the current ranking
+ * - "last week" or "N weeks ago"
+ * - an ISO date ("2024-03-14") or ranking date ("2025/may/12"): the ranking current on that day
+ * - a month ("2024-03" or "2024/march"): the first ranking of that month
+ * @param {string} input - Date input from a command
+ * @param {Date} now - Current time, used for relative input and to reject future dates
+ * @returns {string|null} - Date key of the ranking Monday, or null if the input isn't understood or in the future
+ */
+function resolveRankingDate(input, now = new Date()) {
+  const text = String(input || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  const latest = getRankingMonday(now);
+
+  if (['', 'latest', 'today', 'now', 'this week', 'current'].includes(text)) {
+    return latest;
+  }
+
+  const weeksAgo = text === 'last week' ? ['', '1'] : text.match(/^(\d+) weeks? ago$/);
+  if (weeksAgo) {
+    return formatDateKey(new Date(new Date(`${latest}T00:00:00Z`).getTime() - Number(weeksAgo[1]) * 7 * DAY_MS));
+  }
+
+  let date = null;
+  let monthStart = false;
+
+  const isoDate = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const isoMonth = text.match(/^(\d{4})-(\d{1,2})$/);
+  const namedMonth = text.match(/^(\d{4})\/([a-z]+)$/);
+
+  if (isoDate) {
+    date = createUtcDate(Number(isoDate[1]), Number(isoDate[2]), Number(isoDate[3]));
+  } else if (isoMonth) {
+    date = createUtcDate(Number(isoMonth[1]), Number(isoMonth[2]), 1);
+    monthStart = true;
+  } else if (namedMonth && MONTHS.includes(namedMonth[2])) {
+    date = createUtcDate(Number(namedMonth[1]), MONTHS.indexOf(namedMonth[2]) + 1, 1);
+    monthStart = true;
+  } else if (toDateKey(text)) {
+    date = new Date(`${toDateKey(text)}T00:00:00Z`);
+  }
+
+  if (!date || date.getTime() > now.getTime()) {
+    return null;
+  }
+
+  if (monthStart) {
+    // First Monday of the month, or the latest ranking if it isn't out yet
+    const firstMonday = formatDateKey(new Date(date.getTime() + ((8 - date.getUTCDay()) % 7) * DAY_MS));
+    return firstMonday > latest ? latest : firstMonday;
+  }
+
+  return getRankingMonday(date);
+}
+
+module.exports = {
+  MONTHS,
+  getRankingMonday,
+  toDateKey,
+  toDateString,
+  getWeeklyDates,
+  resolveRankingDate
+};
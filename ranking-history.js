@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Weekly ranking snapshots
+ *
+ * Every ranking fetched for a specific HLTV ranking date is stored as a
+ * snapshot keyed by that date (YYYY-MM-DD). Two snapshots can be compared to
+ * see which teams climbed, fell, entered or dropped out of the ranking.
+ */
+class RankingHistory {
+  /**
+   * @param {string} filePath - Path to the JSON file backing the history
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = {
+      snapshots: {},
+      lastAnnounced: null
+    };
+
+    this.load();
+  }
+
+  /**
+   * Load snapshots from disk
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const loaded = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.data = {
+          snapshots: loaded.snapshots || {},
+          lastAnnounced: loaded.lastAnnounced || null
+        };
+        console.log(`Loaded ${this.getDates().length} ranking snapshots`);
+      }
+    } catch (error) {
+      console.error('Error loading ranking history from file:', error);
+    }
+  }
+
+  /**
+   * Save snapshots to disk
+   */
+  save() {
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.writeFileSync(this.filePath, JSON.stringify(this.data, null, 2));
+    } catch (error) {
+      console.error('Error saving ranking history to file:', error);
+    }
+  }
+
+  /**
+   * Store the ranking of a ranking date, replacing an older snapshot of the same date
+   * @param {string} date - Snapshot key (YYYY-MM-DD)
+   * @param {Array} teams - Teams as returned by the scraper ({ rank, name, points })
+   * @returns {Object|null} - The stored snapshot, or null if there was nothing to store
+   */
+  addSnapshot(date, teams) {
+    const parsedTeams = teams
+      .map(team => ({
+        rank: parseInt(String(team.rank).replace(/[^0-9]/g, ''), 10),
+        name: team.name,
+        points: parseInt(String(team.points).replace(/[^0-9]/g, ''), 10) || null
+      }))
+      .filter(team => !Number.isNaN(team.rank) && team.name);
+
+    if (!date || parsedTeams.length === 0) {
+      return null;
+    }
+
+    this.data.snapshots[date] = {
+      date,
+      fetchedAt: new Date().toISOString(),
+      teams: parsedTeams.sort((a, b) => a.rank - b.rank)
+    };
+
+    this.save();
+    return this.data.snapshots[date];
+  }
+
+  /**
+   * Get the snapshot of a ranking date
+   * @param {string} date - Snapshot key (YYYY-MM-DD)
+   * @returns {Object|null} - Snapshot or null if it wasn't stored
+   */
+  getSnapshot(date) {
+    return this.data.snapshots[date] || null;
+  }
+
+  /**
+   * Get the dates of all stored snapshots
+   * @returns {Array} - Snapshot keys, oldest first
+   */
+  getDates() {
+    return Object.keys(this.data.snapshots).sort();
+  }
+
+  /**
+   * Get the snapshot stored right before a ranking date
+   * @param {string} date - Snapshot key (YYYY-MM-DD)
+   * @returns {Object|null} - Previous snapshot or null if there is none
+   */
+  getPreviousSnapshot(date) {
+    const previousDates = this.getDates().filter(other => other < date);
+    return previousDates.length > 0 ? this.getSnapshot(previousDates[previousDates.length - 1]) : null;
+  }
+
+  /**
+   * Get the rank and points of a team in a set of snapshots
+   * @param {string} teamName - Team name as stored in the snapshots
+   * @param {Array} dates - Snapshot keys to look up
+   * @returns {Array} - { date, stored, rank, points } per date, rank and points are null when the team wasn't ranked or the week isn't stored
+   */
+  getTeamHistory(teamName, dates) {
+    return dates.map(date => {
+      const snapshot = this.getSnapshot(date);
+      const team = snapshot && snapshot.teams.find(entry => entry.name === teamName);
+      return {
+        date,
+        stored: Boolean(snapshot),
+        rank: team ? team.rank : null,
+        points: team ? team.points : null
+      };
+    });
+  }
+
+  /**
+   * Compare two snapshots
+   * Only the top of both rankings is compared, so teams moving in or out of it
+   * are reported as new entries and dropouts
+   * @param {Object} previous - Older snapshot
+   * @param {Object} current - Newer snapshot
+   * @param {number} topTeams - Number of ranked teams to compare
+   * @returns {Object} - { previousDate, currentDate, climbers, fallers, newEntries, dropouts }
+   */
+  compare(previous, current, topTeams = 30) {
+    const previousTop = previous.teams.filter(team => team.rank <= topTeams);
+    const currentTop = current.teams.filter(team => team.rank <= topTeams);
+    const findTeam = (list, name) => list.find(team => team.name === name);
+
+    const moves = currentTop
+      .filter(team => findTeam(previousTop, team.name))
+      .map(team => {
+        const before = findTeam(previousTop, team.name);
+        return {
+          ...team,
+          previousRank: before.rank,
+          rankChange: before.rank - team.rank,
+          pointsChange: team.points !== null && before.points !== null ? team.points - before.points : null
+        };
+      });
+
+    return {
+      previousDate: previous.date,
+      currentDate: current.date,
+      climbers: moves.filter(team => team.rankChange > 0).sort((a, b) => b.rankChange - a.rankChange || a.rank - b.rank),
+      fallers: moves.filter(team => team.rankChange < 0).sort((a, b) => a.rankChange - b.rankChange || a.rank - b.rank),
+      newEntries: currentTop.filter(team => !findTeam(previousTop, team.name)),
+      dropouts: previousTop
+        .filter(team => !findTeam(currentTop, team.name))
+        .map(team => ({ ...team, currentRank: (findTeam(current.teams, team.name) || {}).rank || null }))
+    };
+  }
+
+  /**
+   * Check whether the movers report of a ranking date was already posted
+   * @param {string} date - Snapshot key (YYYY-MM-DD)
+   * @returns {boolean} - True if the report was posted
+   */
+  isAnnounced(date) {
+    return Boolean(this.data.lastAnnounced && this.data.lastAnnounced >= date);
+  }
+
+  /**
+   * Remember that the movers report of a ranking date was posted
+   * @param {string} date - Snapshot key (YYYY-MM-DD)
+   */
+  markAnnounced(date) {
+    this.data.lastAnnounced = date;
+    this.save();
+  }
+}
+
+module.exports = RankingHistory;
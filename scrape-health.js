@@ -0,0 +1,117 @@
+/**
+ * Scrape health monitor
+ *
+ * Counts consecutive failures of each scraper method (homepage, RSS feed,
+ * sitemap, matches, rankings). Once a method fails as often in a row as the
+ * threshold, an alert is sent; when it works again after an alert, a recovery
+ * message is sent. Each outage is reported once.
+ */
+
+const METHOD_LABELS = {
+  homepage: 'HLTV.org homepage',
+  rss: 'RSS feed',
+  sitemap: 'News sitemap',
+  matches: 'Upcoming matches',
+  rankings: 'Team rankings'
+};
+
+class ScrapeHealthMonitor {
+  /**
+   * @param {Object} options - Monitor options
+   * @param {number} options.failureThreshold - Consecutive failures before an alert is sent
+   * @param {Function} options.notify - Async function(message) that delivers alerts and recovery messages
+   */
+  constructor({ failureThreshold = 3, notify = null } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.notify = notify;
+    this.methods = {};
+  }
+
+  /**
+   * Get the state of a method, creating it if needed
+   * @param {string} method - Scraper method key, e.g. "rss"
+   * @returns {Object} - { consecutiveFailures, lastSuccess, lastFailure, lastError, alerted }
+   */
+  getMethod(method) {
+    if (!this.methods[method]) {
+      this.methods[method] = {
+        consecutiveFailures: 0,
+        lastSuccess: null,
+        lastFailure: null,
+        lastError: null,
+        alerted: false
+      };
+    }
+    return this.methods[method];
+  }
+
+  /**
+   * Get the readable name of a method
+   * @param {string} method - Scraper method key
+   * @returns {string} - Label used in messages
+   */
+  getLabel(method) {
+    return METHOD_LABELS[method] || method;
+  }
+
+  /**
+   * Record a successful scrape, sending a recovery message if the method was alerted
+   * @param {string} method - Scraper method key
+   */
+  async recordSuccess(method) {
+    const state = this.getMethod(method);
+    const failures = state.consecutiveFailures;
+    const wasAlerted = state.alerted;
+
+    state.consecutiveFailures = 0;
+    state.lastSuccess = new Date().toISOString();
+    state.alerted = false;
+
+    if (wasAlerted) {
+      console.log(`Scraper method ${method} recovered after ${failures} failures`);
+      await this.send(`✅ **${this.getLabel(method)}** scraping recovered after ${failures} consecutive failures.`);
+    }
+  }
+
+  /**
+   * Record a failed scrape, sending an alert once the threshold is reached
+   * @param {string} method - Scraper method key
+   * @param {Error|string} error - What went wrong
+   */
+  async recordFailure(method, error) {
+    const state = this.getMethod(method);
+    state.consecutiveFailures++;
+    state.lastFailure = new Date().toISOString();
+    state.lastError = error instanceof Error ? error.message : String(error);
+
+    if (!state.alerted && state.consecutiveFailures >= this.failureThreshold) {
+      state.alerted = true;
+      console.log(`Scraper method ${method} failed ${state.consecutiveFailures} times in a row, sending alert`);
+      await this.send(`🚨 **${this.getLabel(method)}** scraping failed ${state.consecutiveFailures} times in a row.\nLast error: \`${state.lastError}\``);
+    }
+  }
+
+  /**
+   * Get the state of every method that has been used
+   * @returns {Object} - Method states keyed by method
+   */
+  getStatus() {
+    return this.methods;
+  }
+
+  /**
+   * Deliver a message, failures to deliver are logged and never thrown
+   * @param {string} message - Message to send
+   */
+  async send(message) {
+    if (!this.notify) return;
+
+    try {
+      await this.notify(message);
+    } catch (error) {
+      console.error('Error sending scrape health message:', error.message);
+    }
+  }
+}
+
+module.exports = ScrapeHealthMonitor;
@@ -1,4 +1,3 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
@@ -8,6 +7,13 @@ const { browserProfiles, crawlerProfiles, referrers } = require('./browser-profi
 const BrowserSession = require('./browser-session');
 const { getRandomDelay } = require('./enhanced-fingerprints');
 const CookieJar = require('./cookie-jar');
+const HttpTransport = require('./http-transport');
+const { resolveTeam } = require('./team-names');
+const RankingHistory = require('./ranking-history');
+const { LayoutChangedError } = require('./layout-check');
+const SelectorConfig = require('./selector-config');
+const parsers = require('./parsers');
+const { getRankingMonday, toDateString, getWeeklyDates, resolveRankingDate } = require('./ranking-dates');
 
 /**
  * HLTV.org scraper module with advanced anti-bot detection mechanisms
@@ -25,8 +31,23 @@ class HLTVScraper {
     this.cacheNewsFile = path.join(this.cacheDir, 'news_cache.json');
     this.cacheMatchesFile = path.join(this.cacheDir, 'matches_cache.json');
     this.cacheTeamsFile = path.join(this.cacheDir, 'teams_cache.json');
+    this.cacheResultsFile = path.join(this.cacheDir, 'results_cache.json');
+    this.cacheTeamProfilesFile = path.join(this.cacheDir, 'team_profiles_cache.json');
+    this.cachePlayerProfilesFile = path.join(this.cacheDir, 'player_profiles_cache.json');
+    this.cacheEventsFile = path.join(this.cacheDir, 'events_cache.json');
+    this.cacheEventDetailsFile = path.join(this.cacheDir, 'event_details_cache.json');
+    this.cacheTransfersFile = path.join(this.cacheDir, 'transfers_cache.json');
+    this.cacheArticleDetailsFile = path.join(this.cacheDir, 'article_details_cache.json');
     this.cacheTTLHours = 1; // Cache time-to-live in hours
+    this.eventDetailsTTLHours = 0.25; // Standings change during an event
+    this.articleDetailsTTLHours = 24 * 7; // Articles don't change once published
+    this.snapshotDir = path.join(this.cacheDir, 'snapshots'); // HTML of pages whose layout changed
+    this.maxLayoutSnapshots = 5; // Snapshots kept per parser
+    this.rankingHistory = new RankingHistory(path.join(this.cacheDir, 'ranking_history.json'));
+    this.lastNewsSource = null; // { source, confidence, synthetic, fetchedAt } of the last news fetch
+    this.healthMonitor = null; // Set by index.js to track consecutive failures of each scraper method
     this.configPath = path.join(__dirname, 'config.json');
+    this.selectors = new SelectorConfig(path.join(__dirname, 'selectors.json'), this.configPath); // Page selectors with config.json overrides
     
     // Anti-bot detection mechanism properties
     this.browserProfiles = browserProfiles;
@@ -34,6 +55,8 @@ class HLTVScraper {
     this.referrers = referrers;
     this.requestsPerInterval = 0;
     this.lastResetTime = Date.now();
+    this.totalRequests = 0;           // Requests since start
+    this.rateLimitWaits = 0;          // Times a request had to wait for the interval to reset
     this.maxRequestsPerInterval = 4;  // Max requests in interval
     this.requestIntervalMs = 60000;   // 1 minute
     this.useSessionRotation = true;   // Enable session rotation
@@ -49,6 +72,7 @@ class HLTVScraper {
     this.globalCookieJar = new CookieJar();
     
     // Load config if exists and set options
+    let transportConfig = {};
     try {
       if (fs.existsSync(this.configPath)) {
         const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
@@ -62,12 +86,20 @@ class HLTVScraper {
           if (config.scraper.sessionTtl) this.sessionTtl = config.scraper.sessionTtl;
           if (config.scraper.maxSessions) this.maxSessions = config.scraper.maxSessions;
           if (config.scraper.defaultTimeout) this.defaultTimeout = config.scraper.defaultTimeout;
+          if (config.scraper.transport) transportConfig = config.scraper.transport;
         }
       }
     } catch (error) {
       console.error('Error loading scraper config:', error);
     }
     
+    // Requests go through a transport that can record responses to disk or replay them offline
+    // HLTV_TRANSPORT and HLTV_RECORDINGS_DIR override config.json, e.g. for a single test run
+    this.transport = this.createTransport(
+      process.env.HLTV_TRANSPORT || transportConfig.mode,
+      process.env.HLTV_RECORDINGS_DIR || transportConfig.recordingsDir
+    );
+    
     // Create cache directory if it doesn't exist
     if (!fs.existsSync(this.cacheDir)) {
       fs.mkdirSync(this.cacheDir, { recursive: true });
@@ -143,6 +175,108 @@ class HLTVScraper {
       return null;
     }
   }
+  /**
+   * Save one entry of a cache file that holds many entries (e.g. one per team)
+   * @param {string} cacheFile - Path to cache file
+   * @param {string} key - Entry key
+   * @param {Object} data - Data to cache
+   */
+  saveToKeyedCache(cacheFile, key, data) {
+    try {
+      let entries = {};
+      if (fs.existsSync(cacheFile)) {
+        try {
+          entries = JSON.parse(fs.readFileSync(cacheFile, 'utf8')).entries || {};
+        } catch (err) {
+          console.error(`Error reading existing cache at ${cacheFile}:`, err);
+        }
+      }
+      
+      entries[key] = {
+        timestamp: new Date().getTime(),
+        data: data
+      };
+      
+      fs.writeFileSync(cacheFile, JSON.stringify({ entries }, null, 2));
+      console.log(`Cache updated: ${cacheFile} (${key})`);
+    } catch (error) {
+      console.error(`Error saving cache to ${cacheFile}:`, error);
+    }
+  }
+  
+  /**
+   * Get the age and TTL of every cache file
+   * Files holding many entries report the age of their newest entry
+   * @returns {Array} - { name, ageHours, ttlHours } per cache file, ageHours is null if the file doesn't exist
+   */
+  getCacheStatus() {
+    const caches = [
+      [this.cacheNewsFile, this.cacheTTLHours],
+      [this.cacheMatchesFile, this.cacheTTLHours],
+      [this.cacheResultsFile, this.cacheTTLHours],
+      [this.cacheTeamsFile, this.cacheTTLHours],
+      [this.cacheEventsFile, this.cacheTTLHours],
+      [this.cacheTransfersFile, this.cacheTTLHours],
+      [path.join(this.cacheDir, 'tournament_cache.json'), this.cacheTTLHours],
+      [this.cacheTeamProfilesFile, this.cacheTTLHours],
+      [this.cachePlayerProfilesFile, this.cacheTTLHours],
+      [this.cacheEventDetailsFile, this.eventDetailsTTLHours],
+      [this.cacheArticleDetailsFile, this.articleDetailsTTLHours]
+    ];
+    
+    return caches.map(([cacheFile, ttlHours]) => {
+      let ageHours = null;
+      try {
+        if (fs.existsSync(cacheFile)) {
+          const cacheData = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+          const timestamps = cacheData.entries
+            ? Object.values(cacheData.entries).map(entry => entry.timestamp)
+            : [cacheData.timestamp];
+          const newest = Math.max(...timestamps.filter(Number.isFinite));
+          if (Number.isFinite(newest)) {
+            ageHours = (new Date().getTime() - newest) / (1000 * 60 * 60);
+          }
+        }
+      } catch (error) {
+        console.error(`Error reading cache status of ${cacheFile}:`, error.message);
+      }
+      
+      return { name: path.basename(cacheFile), ageHours, ttlHours };
+    });
+  }
+  
+  /**
+   * Load one entry of a cache file that holds many entries
+   * @param {string} cacheFile - Path to cache file
+   * @param {string} key - Entry key
+   * @param {number} ttlHours - Optional TTL, defaults to the configured cache TTL
+   * @returns {Object|null} - Cached data or null if missing/expired
+   */
+  loadFromKeyedCache(cacheFile, key, ttlHours = this.cacheTTLHours) {
+    try {
+      if (!fs.existsSync(cacheFile)) {
+        return null;
+      }
+      
+      const entry = (JSON.parse(fs.readFileSync(cacheFile, 'utf8')).entries || {})[key];
+      if (!entry) {
+        return null;
+      }
+      
+      const cacheAge = (new Date().getTime() - entry.timestamp) / (1000 * 60 * 60); // Age in hours
+      if (cacheAge > ttlHours) {
+        console.log(`Cache expired: ${cacheFile} (${key})`);
+        return null;
+      }
+      
+      console.log(`Using cached data: ${cacheFile} (${key}, ${cacheAge.toFixed(2)} hours old)`);
+      return entry.data;
+    } catch (error) {
+      console.error(`Error loading cache from ${cacheFile}:`, error);
+      return null;
+    }
+  }
+  
   /**
    * Try to fetch CS news from a third-party API
    * @returns {Promise<Array>} - Array of news articles
@@ -164,44 +298,122 @@ class HLTVScraper {
     }
   }
   
+  /**
+   * Run a parser from parsers.js on a fetched page
+   * When the parser reports a layout change, the page is saved as an HTML snapshot for debugging
+   * @param {Function} parse - Parser, called with the page content and the current selectors
+   * @param {string} html - Page content
+   * @param {Object} options - Extra parser options
+   * @returns {*} - Parser output
+   */
+  parsePage(parse, html, options = {}) {
+    try {
+      return parse(html, { selectors: this.selectors.getPages(), ...options });
+    } catch (error) {
+      if (!(error instanceof LayoutChangedError)) {
+        throw error;
+      }
+      throw new LayoutChangedError(error.parser, error.selector, error.problems, this.saveLayoutSnapshot(error.parser, html));
+    }
+  }
+  
+  /**
+   * Save the HTML of a page whose layout changed, keeping only the latest snapshots of each parser
+   * @param {string} parser - Parser name
+   * @param {string} html - Page content
+   * @returns {string|null} - Path of the snapshot, or null if it couldn't be saved
+   */
+  saveLayoutSnapshot(parser, html) {
+    try {
+      if (!fs.existsSync(this.snapshotDir)) {
+        fs.mkdirSync(this.snapshotDir, { recursive: true });
+      }
+      
+      const snapshotPath = path.join(this.snapshotDir, `${parser}-${new Date().toISOString().replace(/[:.]/g, '-')}.html`);
+      fs.writeFileSync(snapshotPath, typeof html === 'string' ? html : JSON.stringify(html));
+      console.log(`Saved HTML snapshot of ${parser} to ${snapshotPath}`);
+      
+      const oldSnapshots = fs.readdirSync(this.snapshotDir)
+        .filter(name => name.startsWith(`${parser}-`))
+        .sort()
+        .slice(0, -this.maxLayoutSnapshots);
+      for (const name of oldSnapshots) {
+        fs.unlinkSync(path.join(this.snapshotDir, name));
+      }
+      
+      return snapshotPath;
+    } catch (error) {
+      console.error(`Error saving HTML snapshot of ${parser}:`, error.message);
+      return null;
+    }
+  }
+  
+  /**
+   * Report the outcome of a scraper method to the health monitor, if one is attached
+   * @param {string} method - homepage, rss, sitemap, matches or rankings
+   * @param {Error|null} error - Error of a failed scrape, null on success
+   */
+  reportHealth(method, error = null) {
+    if (!this.healthMonitor) return;
+    
+    // Alerts are sent in the background so they don't slow down scraping
+    if (error) {
+      this.healthMonitor.recordFailure(method, error);
+    } else {
+      this.healthMonitor.recordSuccess(method);
+    }
+  }
+  
+  /**
+   * Label articles with the source they came from and how far that source can be trusted
+   * @param {Array} articles - Articles of a single source
+   * @param {string} source - homepage, rss, sitemap, simulated or fallback
+   * @param {string} confidence - high, medium or low
+   * @param {boolean} synthetic - True for placeholder items that aren't real news and must never be posted
+   * @returns {Array} - The articles with source, confidence and synthetic set
+   */
+  labelArticles(articles, source, confidence, synthetic = false) {
+    this.lastNewsSource = { source, confidence, synthetic, fetchedAt: new Date().toISOString() };
+    return articles.map(article => ({ ...article, source, confidence, synthetic }));
+  }
+  
   /**
    * Create simulated news data as a final fallback
+   * Only placeholders pointing to HLTV.org sections, labeled as synthetic by the caller
    * @returns {Array} - Array of simulated news articles
    */
   createSimulatedNewsData() {
-    const now = new Date();
-    const timestamp = now.toLocaleTimeString();
-    const date = now.toLocaleDateString();
+    const date = new Date().toISOString().slice(0, 10);
     
     return [
       {
         title: "CS2 Tournament Schedule for " + date,
         url: "https://www.hltv.org/events",
-        time: timestamp,
+        publishedAt: null,
         type: "standard"
       },
       {
         title: "Latest CS2 Professional Player Transfers",
         url: "https://www.hltv.org/transfers",
-        time: timestamp,
+        publishedAt: null,
         type: "standard"
       },
       {
         title: "CS2 Update: New Features and Balance Changes",
         url: "https://www.counter-strike.net/news",
-        time: timestamp,
+        publishedAt: null,
         type: "standard"
       },
       {
         title: "Top Team Rankings for Counter-Strike",
         url: "https://www.hltv.org/ranking/teams",
-        time: timestamp,
+        publishedAt: null,
         type: "standard"
       },
       {
         title: "Upcoming CS2 Matches to Watch This Week",
         url: "https://www.hltv.org/matches",
-        time: timestamp,
+        publishedAt: null,
         type: "standard"
       }
     ];
@@ -388,6 +600,7 @@ class HLTVScraper {
         // Add some randomness to the wait time to avoid detection patterns
         const randomizedWait = timeToWait + (Math.random() * 1000) - 500; // +/- 500ms
         console.log(`Rate limit reached. Waiting ${(randomizedWait / 1000).toFixed(1)} seconds before next request...`);
+        this.rateLimitWaits++;
         await new Promise(resolve => setTimeout(resolve, randomizedWait));
         this.requestsPerInterval = 0;
         this.lastResetTime = Date.now();
@@ -420,6 +633,56 @@ class HLTVScraper {
     }
     
     this.requestsPerInterval++;
+    this.totalRequests++;
+  }
+  
+  /**
+   * Get the counters of the rate limiter
+   * @returns {Object} - { requestsInInterval, maxRequestsPerInterval, intervalResetsAt, totalRequests, waits }
+   */
+  getRateLimitStatus() {
+    return {
+      requestsInInterval: this.requestsPerInterval,
+      maxRequestsPerInterval: this.maxRequestsPerInterval,
+      intervalResetsAt: new Date(this.lastResetTime + this.requestIntervalMs).toISOString(),
+      totalRequests: this.totalRequests,
+      waits: this.rateLimitWaits
+    };
+  }
+  
+  /**
+   * Create the HTTP transport, falling back to live requests if the mode is invalid
+   * @param {string} mode - "live", "record" or "replay" (default "live")
+   * @param {string} recordingsDir - Directory of the recorded responses, relative to the bot directory (default "recordings")
+   * @returns {HttpTransport} - Transport used by makeRequest
+   */
+  createTransport(mode = 'live', recordingsDir = 'recordings') {
+    try {
+      const transport = new HttpTransport({ mode, recordingsDir: path.resolve(__dirname, recordingsDir) });
+      if (transport.mode !== 'live') {
+        console.log(`HTTP transport in ${transport.mode} mode, recordings in ${transport.recordingsDir}`);
+      }
+      return transport;
+    } catch (error) {
+      console.error('Error creating HTTP transport, making live requests:', error.message);
+      return new HttpTransport();
+    }
+  }
+  
+  /**
+   * Replace the HTTP transport, e.g. to replay recorded responses in tests
+   * @param {Object} transport - Object with a mode and a get(url, config) method returning an axios-like response
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+  
+  /**
+   * Check if responses are replayed from disk instead of requested from HLTV.org
+   * @returns {boolean} - True in replay mode
+   */
+  isReplaying() {
+    return this.transport.mode === 'replay';
   }
   
   /**
@@ -431,7 +694,10 @@ class HLTVScraper {
   async makeRequest(url, options = {}) {
     try {
       // Enforce rate limiting based on request type
-      await this.enforceRateLimit(options.requestType || 'standard');
+      // Replayed responses don't reach HLTV.org, so they skip the rate limit and human-like delays
+      if (!this.isReplaying()) {
+        await this.enforceRateLimit(options.requestType || 'standard');
+      }
       
       // Get or create session
       const sessionId = options.sessionId || 'default';
@@ -452,7 +718,7 @@ class HLTVScraper {
       }
       
       // Calculate human-like timing delay
-      const delay = session.calculateWaitTime(options.actionType || 'pageLoad');
+      const delay = this.isReplaying() ? 0 : session.calculateWaitTime(options.actionType || 'pageLoad');
       if (delay > 0) {
         await new Promise(resolve => setTimeout(resolve, delay));
       }
@@ -481,7 +747,7 @@ class HLTVScraper {
       console.log(`Making request to ${url} with ${session.profile.name || 'custom'} profile...`);
       
       // Make the request
-      const response = await axios.get(url, requestConfig);
+      const response = await this.transport.get(url, requestConfig);
       
       // Record visit in session and update cookies
       session.recordVisit(url, response.headers);
@@ -528,22 +794,7 @@ class HLTVScraper {
         actionType: 'resourceFetch'
       });
       
-      const $ = cheerio.load(response.data, { xmlMode: true });
-      const articles = [];
-      
-      $('item').each((i, element) => {
-        const title = $(element).find('title').text();
-        const url = $(element).find('link').text();
-        const pubDate = $(element).find('pubDate').text();
-        const time = new Date(pubDate).toLocaleTimeString();
-        
-        articles.push({
-          title,
-          url,
-          time,
-          type: 'standard'
-        });
-      });
+      const articles = this.parsePage(parsers.parseRss, response.data);
       
       console.log(`Successfully fetched ${articles.length} articles from RSS`);
       return articles;
@@ -571,31 +822,7 @@ class HLTVScraper {
         timeout: 12000 // Slightly longer timeout for sitemap
       });
       
-      const $ = cheerio.load(response.data, { xmlMode: true });
-      const articles = [];
-      
-      $('url').slice(0, 20).each((i, element) => { // Get only the first 20 items
-        const url = $(element).find('loc').text();
-        const lastmod = $(element).find('lastmod').text();
-        let title = url.split('/').pop().replace(/-/g, ' ');
-        
-        // Extract news title if possible
-        const newsTitle = $(element).find('news\\:title').text() || 
-                         $(element).find('news:title').text();
-        
-        if (newsTitle) {
-          title = newsTitle;
-        }
-        
-        const time = new Date(lastmod).toLocaleTimeString();
-        
-        articles.push({
-          title: title.charAt(0).toUpperCase() + title.slice(1), // Capitalize first letter
-          url,
-          time,
-          type: 'standard'
-        });
-      });
+      const articles = this.parsePage(parsers.parseSitemap, response.data);
       
       console.log(`Successfully fetched ${articles.length} articles from sitemap`);
       return articles;
@@ -606,6 +833,8 @@ class HLTVScraper {
   }
   /**
    * Get the latest news articles from HLTV.org using multiple methods with fallbacks
+   * Every article is labeled with its source and confidence; when all real sources fail
+   * the placeholders returned are labeled synthetic and are not cached
    * @returns {Promise<Array>} Array of news articles
    */  async getLatestNews() {
     // First check the cache
@@ -626,45 +855,16 @@ class HLTVScraper {
       console.log('Attempting to scrape news directly from HLTV.org...');
       const response = await this.makeRequest(this.baseUrl);
       
-      const $ = cheerio.load(response.data);
-      
-      // Get articles from the standard news section
-      $('.standard-headline').each((i, element) => {
-        const title = $(element).text().trim();
-        const url = this.baseUrl + $(element).attr('href');
-        const timeElement = $(element).find('.time');
-        const time = timeElement.length ? timeElement.text().trim() : new Date().toLocaleTimeString();
-        
-        articles.push({
-          title,
-          url,
-          time,
-          type: 'standard'
-        });
-      });
-      
-      // Get featured articles
-      $('.featured-news-container a.featured-newslink').each((i, element) => {
-        const title = $(element).find('.featured-news-title').text().trim();
-        const url = this.baseUrl + $(element).attr('href');
-        const image = $(element).find('img').attr('src');
-        
-        articles.push({
-          title,
-          url,
-          image,
-          time: new Date().toLocaleTimeString(),
-          type: 'featured'
-        });
-      });
+      articles = this.parsePage(parsers.parseHomepage, response.data);
       
-      if (articles.length > 0) {
-        console.log(`Successfully scraped ${articles.length} articles from HLTV.org`);
-        this.saveToCache(this.cacheNewsFile, articles);
-        return articles;
-      }
+      console.log(`Successfully scraped ${articles.length} articles from HLTV.org`);
+      articles = this.labelArticles(articles, 'homepage', 'high');
+      this.saveToCache(this.cacheNewsFile, articles);
+      this.reportHealth('homepage');
+      return articles;
     } catch (error) {
       console.error('Error with primary scraping method:', error.message);
+      this.reportHealth('homepage', error);
       // Continue to fallback methods
     }
     
@@ -672,31 +872,40 @@ class HLTVScraper {
     try {
       articles = await this.getNewsFromRSS();
       if (articles.length > 0) {
+        articles = this.labelArticles(articles, 'rss', 'high');
         this.saveToCache(this.cacheNewsFile, articles);
+        this.reportHealth('rss');
         return articles;
       }
+      this.reportHealth('rss', new Error('No articles found in the RSS feed'));
     } catch (error) {
       console.error('RSS feed fallback failed:', error.message);
+      this.reportHealth('rss', error);
       // Continue to next fallback
     }
       // Try sitemap method
     try {
       articles = await this.getNewsFromSitemap();
       if (articles.length > 0) {
+        // Sitemap entries without a news title are named after the URL slug
+        articles = this.labelArticles(articles, 'sitemap', 'medium');
         this.saveToCache(this.cacheNewsFile, articles);
+        this.reportHealth('sitemap');
         return articles;
       }
+      this.reportHealth('sitemap', new Error('No articles found in the sitemap'));
     } catch (error) {
       console.error('Sitemap fallback failed:', error.message);
+      this.reportHealth('sitemap', error);
       // Continue to next fallback
     }
     
     // Try third-party API method
+    // Its items are simulated, so they aren't cached and the real sources are retried on the next check
     try {
       articles = await this.getNewsFromThirdParty();
       if (articles.length > 0) {
-        this.saveToCache(this.cacheNewsFile, articles);
-        return articles;
+        return this.labelArticles(articles, 'simulated', 'low', true);
       }
     } catch (error) {
       console.error('Third-party API fallback failed:', error.message);
@@ -705,21 +914,52 @@ class HLTVScraper {
     
     // All methods failed, use static fallback content
     console.log('All scraping methods failed, using static fallback content');
-    return [
+    return this.labelArticles([
       {
         title: "Unable to fetch latest CS news - HLTV.org access restricted",
         url: "https://www.hltv.org/news",
-        time: new Date().toLocaleTimeString(),
+        publishedAt: null,
         type: "standard"
       },
       {
         title: "Visit HLTV.org directly for the latest Counter-Strike news",
         url: "https://www.hltv.org/",
-        time: new Date().toLocaleTimeString(),
+        publishedAt: null,
         type: "standard"
       }
-    ];
+    ], 'fallback', 'low', true);
+  }
+  
+  /**
+   * Get the author, publish time, opening paragraphs and lead image of a news article
+   * Articles don't change once published, so details are cached per article URL for a week
+   * @param {string} articleUrl - Full URL of an HLTV.org news article
+   * @returns {Promise<Object|null>} - { title, author, publishedAt, excerpt, text, image } or null if the article couldn't be fetched
+   */
+  async getArticleDetails(articleUrl) {
+    // Only actual articles have a detail page, not the news index the fallbacks link to
+    if (!/^https:\/\/www\.hltv\.org\/news\/\d+\//.test(articleUrl || '')) {
+      return null;
+    }
+    
+    const cachedDetails = this.loadFromKeyedCache(this.cacheArticleDetailsFile, articleUrl, this.articleDetailsTTLHours);
+    if (cachedDetails) {
+      return cachedDetails;
+    }
+    
+    try {
+      console.log(`Attempting to fetch article: ${articleUrl}`);
+      const response = await this.makeRequest(articleUrl, { requestType: 'page' });
+      const details = parsers.parseArticle(response.data);
+      
+      this.saveToKeyedCache(this.cacheArticleDetailsFile, articleUrl, details);
+      return details;
+    } catch (error) {
+      console.error(`Error fetching article details for ${articleUrl}:`, error.message);
+      return null;
+    }
   }
+  
   /**
    * Get upcoming matches from HLTV.org with fallbacks
    * @param {number} limit - Maximum number of matches to return
@@ -736,36 +976,16 @@ class HLTVScraper {
       console.log('Attempting to fetch upcoming matches...');
       const response = await this.makeRequest(`${this.baseUrl}/matches`);
       
-      const $ = cheerio.load(response.data);
-      const matches = [];
-      
-      $('.upcomingMatchesContainer .upcomingMatch').each((i, element) => {
-        if (i >= limit) return;
-        
-        const team1 = $(element).find('.matchTeam:first-child .matchTeamName').text().trim();
-        const team2 = $(element).find('.matchTeam:last-child .matchTeamName').text().trim();
-        const matchTime = $(element).find('.matchTime').text().trim();
-        const matchMeta = $(element).find('.matchMeta').text().trim();
-        const matchUrl = this.baseUrl + $(element).find('a.match').attr('href');
-        
-        const match = {
-          team1,
-          team2,
-          matchTime,
-          matchMeta,
-          matchUrl
-        };
-        
-        matches.push(match);
-      });
+      // Parse every match so the cache also serves larger limits (e.g. match reminders)
+      const matches = this.parsePage(parsers.parseUpcomingMatches, response.data);
       
-      if (matches.length > 0) {
-        console.log(`Successfully fetched ${matches.length} upcoming matches`);
-        this.saveToCache(this.cacheMatchesFile, matches);
-        return matches;
-      }
+      console.log(`Successfully fetched ${matches.length} upcoming matches`);
+      this.saveToCache(this.cacheMatchesFile, matches);
+      this.reportHealth('matches');
+      return matches.slice(0, limit);
     } catch (error) {
       console.error('Error fetching upcoming matches:', error.message);
+      this.reportHealth('matches', error);
     }
     
     // Fallback data if scraping fails
@@ -773,50 +993,111 @@ class HLTVScraper {
       {
         team1: "Unable to fetch matches",
         team2: "Please visit HLTV.org",
-        matchTime: new Date().toLocaleTimeString(),
+        matchTime: "Time unavailable",
+        startTime: null,
         matchMeta: "Data unavailable",
-        matchUrl: "https://www.hltv.org/matches"
+        matchUrl: "https://www.hltv.org/matches",
+        synthetic: true
       }
     ];
   }
+  /**
+   * Get recent match results from HLTV.org
+   * @param {number} limit - Maximum number of results to return
+   * @returns {Promise<Array>} Array of match results, empty if scraping fails
+   */
+  async getMatchResults(limit = 10) {
+    // First check the cache
+    const cachedResults = this.loadFromCache(this.cacheResultsFile);
+    if (cachedResults) {
+      return cachedResults.slice(0, limit);
+    }
+    
+    try {
+      console.log('Attempting to fetch match results...');
+      const response = await this.makeRequest(`${this.baseUrl}/results`);
+      
+      const results = this.parsePage(parsers.parseResults, response.data);
+      
+      console.log(`Successfully fetched ${results.length} match results`);
+      this.saveToCache(this.cacheResultsFile, results);
+      return results.slice(0, limit);
+    } catch (error) {
+      console.error('Error fetching match results:', error.message);
+    }
+    
+    return [];
+  }
+  
+  /**
+   * Get the per-map scores of a finished match from its match page
+   * @param {string} matchUrl - HLTV match URL
+   * @returns {Promise<Array>} Array of { name, team1Score, team2Score } for played maps
+   */
+  async getMatchMaps(matchUrl) {
+    const status = await this.getMatchStatus(matchUrl);
+    return status.maps;
+  }
+  
+  /**
+   * Get the current state of a match from its match page
+   * @param {string} matchUrl - HLTV match URL
+   * @returns {Promise<Object>} - Match state with teams, series score, map scores and status
+   */
+  async getMatchStatus(matchUrl) {
+    const response = await this.makeRequest(matchUrl, {
+      sessionId: 'live_session',
+      requestType: 'page'
+    });
+    return { ...parsers.parseMatch(response.data), matchUrl };
+  }
+  
+  /**
+   * Get the matches that are live right now from HLTV.org
+   * Not cached, live data is only useful while it is fresh
+   * @returns {Promise<Array>} Array of live matches, empty if scraping fails
+   */
+  async getLiveMatches() {
+    try {
+      console.log('Attempting to fetch live matches...');
+      const response = await this.makeRequest(`${this.baseUrl}/matches`, {
+        sessionId: 'live_session',
+        requestType: 'page'
+      });
+      
+      const matches = parsers.parseLiveMatches(response.data);
+      console.log(`Successfully fetched ${matches.length} live matches`);
+      return matches;
+    } catch (error) {
+      console.error('Error fetching live matches:', error.message);
+      throw error;
+    }
+  }
+  
   /**
    * Get top ranked teams from HLTV.org with fallbacks
    * @param {number} limit - Maximum number of teams to return
+   * @param {Object} options - Fetch options
+   * @param {boolean} options.forceRefresh - Skip the cache (e.g. to check for a new weekly ranking)
    * @returns {Promise<Array>} Array of top teams
    */
-  async getTopTeams(limit = 5) {
+  async getTopTeams(limit = 5, { forceRefresh = false } = {}) {
     // First check the cache
-    const cachedTeams = this.loadFromCache(this.cacheTeamsFile);
+    const cachedTeams = forceRefresh ? null : this.loadFromCache(this.cacheTeamsFile);
     if (cachedTeams) {
       return cachedTeams.slice(0, limit);
     }
     
-    // Construct the URL for the latest rankings
-    // Format: https://www.hltv.org/ranking/teams/YEAR/MONTH/DAY
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = ['january', 'february', 'march', 'april', 'may', 'june', 
-                  'july', 'august', 'september', 'october', 'november', 'december'][now.getMonth()];
-    
-    // HLTV updates rankings on Mondays, so let's find the most recent Monday
-    let day = now.getDate();
-    const dayOfWeek = now.getDay(); // 0 = Sunday, 1 = Monday, ...
-    if (dayOfWeek === 0) { // Sunday
-      day -= 6; // Go back to previous Monday
-    } else {
-      day -= (dayOfWeek - 1); // Go back to this week's Monday
-    }
-    if (day <= 0) { // If we went to previous month
-      day = 1; // Just use the 1st of this month as fallback
-    }
+    // Construct the URL for the latest rankings, HLTV updates them on Mondays
+    const rankingDate = getRankingMonday();
     
     // Try with the direct rankings URL first (like you provided)
-    const rankingUrl = `${this.baseUrl}/ranking/teams/${year}/${month}/${day}`;
+    const rankingUrl = `${this.baseUrl}/ranking/teams/${toDateString(rankingDate)}`;
     console.log(`Attempting to fetch rankings from: ${rankingUrl}`);
     
     try {
       // Try with a different approach specifically for rankings
-      const response = await axios.get(rankingUrl, {
+      const response = await this.transport.get(rankingUrl, {
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
           'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
@@ -830,90 +1111,218 @@ class HLTVScraper {
         timeout: 10000
       });
       
-      const $ = cheerio.load(response.data);
-      const teams = [];
-      
-      // Try different selectors based on the page structure
-      $('.ranked-team, .hltv-divider').each((i, element) => {
-        if (i >= limit) return;
-        
-        const rank = $(element).find('.position, .ranking-number').first().text().trim();
-        const name = $(element).find('.name, .ranking-team-name').first().text().trim();
-        const points = $(element).find('.points, .ranking-team-points').first().text().trim() || 'N/A';
-        
-        if (rank && name) {
-          teams.push({
-            rank,
-            name,
-            points
-          });
-        }
-      });
+      // Every team is parsed so the cache also serves team name lookups
+      const teams = this.parsePage(parsers.parseRankings, response.data);
       
-      if (teams.length > 0) {
-        console.log(`Successfully fetched ${teams.length} top teams`);
-        this.saveToCache(this.cacheTeamsFile, teams);
-        return teams;
-      } else {
-        throw new Error('No teams found in the response');
-      }
+      console.log(`Successfully fetched ${teams.length} top teams`);
+      this.saveToCache(this.cacheTeamsFile, teams);
+      this.rankingHistory.addSnapshot(rankingDate, teams);
+      this.reportHealth('rankings');
+      return teams.slice(0, limit);
     } catch (error) {
       console.error('Error fetching top teams from specific URL:', error.message);
       
       // Try the generic rankings page as fallback
       try {
         console.log('Attempting to fetch from generic rankings page...');
-        const response = await axios.get(`${this.baseUrl}/ranking/teams`, {
+        const response = await this.transport.get(`${this.baseUrl}/ranking/teams`, {
           headers: this.headers,
           timeout: 10000
         });
         
-        const $ = cheerio.load(response.data);
-        const teams = [];
+        const teams = this.parsePage(parsers.parseRankings, response.data);
         
-        $('.ranked-team, .teamline').each((i, element) => {
-          if (i >= limit) return;
-          
-          const rank = $(element).find('.position, .numberAndTrophy').first().text().trim();
-          const name = $(element).find('.name, .nameCol').first().text().trim();
-          const points = $(element).find('.points, .ratingCol').first().text().trim() || 'N/A';
-          
-          if (rank && name) {
-            teams.push({
-              rank,
-              name,
-              points
-            });
-          }
-        });
-        
-        if (teams.length > 0) {
-          console.log(`Successfully fetched ${teams.length} top teams from generic page`);
-          this.saveToCache(this.cacheTeamsFile, teams);
-          return teams;
-        }
+        console.log(`Successfully fetched ${teams.length} top teams from generic page`);
+        this.saveToCache(this.cacheTeamsFile, teams);
+        this.reportHealth('rankings');
+        return teams.slice(0, limit);
       } catch (error) {
         console.error('Error fetching from generic rankings page:', error.message);
       }
     }    
     // All methods failed, use fallback data
     console.log('All ranking methods failed, using static fallback');
+    this.reportHealth('rankings', new Error('The dated and generic rankings pages both failed'));
     return [
-      { rank: "1", name: "Unable to fetch rankings", points: "N/A" },
-      { rank: "2", name: "Please visit HLTV.org", points: "N/A" },
-      { rank: "3", name: "for current rankings", points: "N/A" }
+      { rank: "1", name: "Unable to fetch rankings", points: "N/A", synthetic: true },
+      { rank: "2", name: "Please visit HLTV.org", points: "N/A", synthetic: true },
+      { rank: "3", name: "for current rankings", points: "N/A", synthetic: true }
     ];
   }
+  /**
+   * Find a team by (part of) its name
+   * Fuzzy matches against the cached rankings first and falls back to HLTV's search
+   * @param {string} query - Team name, abbreviation or typo (e.g. "navi")
+   * @returns {Promise<Object|null>} - { teamId, name, teamUrl, rank } or null if not found
+   */
+  async findTeam(query) {
+    const rankedTeams = (await this.getTopTeams(100)).filter(team => team.teamUrl);
+    const rankedMatch = resolveTeam(query, rankedTeams);
+    if (rankedMatch) {
+      return rankedMatch;
+    }
+    
+    const teams = (await this.searchHltv(query, 'teams'))
+      .map(team => ({ name: team.name, ...parsers.parseTeamLink(team.location) }))
+      .filter(team => team.teamUrl);
+    
+    return resolveTeam(query, teams) || teams[0] || null;
+  }
+  
+  /**
+   * Search HLTV.org for teams, players or events
+   * @param {string} query - Search term
+   * @param {string} category - Result category of the search response ('teams', 'players', 'events')
+   * @returns {Promise<Array>} - Raw search results of the category, empty on failure
+   */
+  async searchHltv(query, category) {
+    try {
+      console.log(`Searching HLTV.org ${category} for: ${query}`);
+      const response = await this.makeRequest(`${this.baseUrl}/search?term=${encodeURIComponent(query)}`, {
+        requestType: 'api',
+        actionType: 'resourceFetch'
+      });
+      
+      return (response.data && response.data[0] && response.data[0][category]) || [];
+    } catch (error) {
+      console.error(`Error searching HLTV.org ${category}:`, error.message);
+      return [];
+    }
+  }
+  
+  /**
+   * Get a team profile with roster, coach, ranking and recent/upcoming matches
+   * @param {string} query - Team name to look up (fuzzy matched)
+   * @returns {Promise<Object|null>} - Team profile or null if the team wasn't found
+   */
+  async getTeamProfile(query) {
+    const team = await this.findTeam(query);
+    if (!team) {
+      return null;
+    }
+    
+    const cachedProfile = this.loadFromKeyedCache(this.cacheTeamProfilesFile, team.teamId);
+    if (cachedProfile) {
+      return cachedProfile;
+    }
+    
+    console.log(`Attempting to fetch team profile: ${team.teamUrl}`);
+    const response = await this.makeRequest(team.teamUrl, { requestType: 'page' });
+    const page = parsers.parseTeamProfile(response.data);
+    
+    const profile = {
+      teamId: team.teamId,
+      ...page,
+      name: page.name || team.name,
+      worldRanking: page.worldRanking || (team.rank ? `#${team.rank.replace(/[^0-9]/g, '')}` : null),
+      teamUrl: team.teamUrl
+    };
+    
+    this.saveToKeyedCache(this.cacheTeamProfilesFile, team.teamId, profile);
+    return profile;
+  }
+  
+  /**
+   * Find a player by nickname using HLTV's search
+   * @param {string} nick - Player nickname (e.g. "s1mple")
+   * @returns {Promise<Object|null>} - { playerId, nickname, playerUrl } or null if not found
+   */
+  async findPlayer(nick) {
+    const players = (await this.searchHltv(nick, 'players'))
+      .map(player => {
+        const match = (player.location || '').match(/^\/player\/(\d+)\/([^/?#]+)/);
+        return match ? {
+          playerId: match[1],
+          slug: match[2],
+          nickname: player.nickName || match[2],
+          playerUrl: this.baseUrl + match[0]
+        } : null;
+      })
+      .filter(Boolean);
+    
+    // Prefer an exact nickname match over partial matches like "s1mple-" alts
+    const wanted = nick.trim().toLowerCase();
+    return players.find(player => player.nickname.toLowerCase() === wanted) || players[0] || null;
+  }
+  
+  /**
+   * Get a player's rating summary for the last three months
+   * @param {Object} player - Player from findPlayer
+   * @returns {Promise<Object|null>} - { period, rating, mapsPlayed, kdRatio, adr, kast } or null on failure
+   */
+  async getPlayerStats(player) {
+    const endDate = new Date();
+    const startDate = new Date(endDate);
+    startDate.setMonth(startDate.getMonth() - 3);
+    const period = {
+      startDate: startDate.toISOString().slice(0, 10),
+      endDate: endDate.toISOString().slice(0, 10)
+    };
+    
+    try {
+      const statsUrl = `${this.baseUrl}/stats/players/${player.playerId}/${player.slug}?startDate=${period.startDate}&endDate=${period.endDate}`;
+      console.log(`Attempting to fetch player stats: ${statsUrl}`);
+      const response = await this.makeRequest(statsUrl, { requestType: 'page' });
+      return { period, ...parsers.parsePlayerStats(response.data) };
+    } catch (error) {
+      console.error('Error fetching player stats:', error.message);
+      return null;
+    }
+  }
+  
+  /**
+   * Get a player profile with team, country, 3 month rating and recent team changes
+   * @param {string} nick - Player nickname to look up
+   * @returns {Promise<Object|null>} - Player profile or null if the player wasn't found
+   */
+  async getPlayerProfile(nick) {
+    const player = await this.findPlayer(nick);
+    if (!player) {
+      return null;
+    }
+    
+    const cachedProfile = this.loadFromKeyedCache(this.cachePlayerProfilesFile, player.playerId);
+    if (cachedProfile) {
+      return cachedProfile;
+    }
+    
+    console.log(`Attempting to fetch player profile: ${player.playerUrl}`);
+    const response = await this.makeRequest(player.playerUrl, { requestType: 'page' });
+    const page = parsers.parsePlayerProfile(response.data);
+    
+    const profile = {
+      playerId: player.playerId,
+      ...page,
+      nickname: page.nickname || player.nickname,
+      stats: await this.getPlayerStats(player),
+      playerUrl: player.playerUrl
+    };
+    
+    this.saveToKeyedCache(this.cachePlayerProfilesFile, player.playerId, profile);
+    return profile;
+  }
+  
     /**
    * Manually update team rankings with a specific URL
    * This can be called from commands to update cached rankings
-   * @param {string} dateString - Format: YYYY/month/DD (e.g., "2025/may/12")
+   * @param {string} dateString - Any date accepted by resolveRankingDate (e.g. "2025/may/12", "2024-03", "last week")
+   * @param {Object} options - Update options
+   * @param {boolean} options.updateCache - Replace the cached current rankings with the result,
+   *   by default only done when the date resolves to the current ranking
    * @returns {Promise<Array>} - Array of team rankings
    */
-  async updateTeamRankings(dateString) {
+  async updateTeamRankings(dateString, { updateCache } = {}) {
     try {
-      console.log(`DEBUG: Manually updating team rankings with date: ${dateString}`);
-      const url = `${this.baseUrl}/ranking/teams/${dateString}`;
+      const rankingDate = resolveRankingDate(dateString);
+      if (!rankingDate) {
+        throw new Error(`Invalid ranking date: ${dateString}`);
+      }
+      if (updateCache === undefined) {
+        updateCache = rankingDate === getRankingMonday();
+      }
+      
+      console.log(`DEBUG: Manually updating team rankings with date: ${rankingDate}`);
+      const url = `${this.baseUrl}/ranking/teams/${toDateString(rankingDate)}`;
       console.log(`DEBUG: Fetching from URL: ${url}`);
       
       // Save headers for logging
@@ -927,7 +1336,7 @@ class HLTVScraper {
       console.log(`DEBUG: Using headers:`, headers);
       
       console.log(`DEBUG: Making HTTP request...`);
-      const response = await axios.get(url, {
+      const response = await this.transport.get(url, {
         headers: headers,
         timeout: 15000 // Increased timeout to 15 seconds
       });
@@ -943,50 +1352,21 @@ class HLTVScraper {
         console.log(`DEBUG: Could not save response HTML: ${err.message}`);
       }
       
-      console.log(`DEBUG: Parsing response with cheerio...`);
-      const $ = cheerio.load(response.data);
-      
-      // Log some basic page info to verify we got the right page
-      const pageTitle = $('title').text();
-      console.log(`DEBUG: Page title: ${pageTitle}`);
+      console.log(`DEBUG: Looking for team elements with selectors: ${this.selectors.get('rankings').items.join(' | ')}`);
+      const rankedTeams = this.parsePage(parsers.parseRankings, response.data);
+      console.log(`DEBUG: Found ${rankedTeams.length} teams`);
       
-      const teams = [];
-      console.log(`DEBUG: Looking for team elements...`);
-      
-      // Log what selectors we're looking for
-      console.log(`DEBUG: Searching for elements with selectors: .ranked-team, .team, .teamline`);
-      
-      // We'll try multiple selectors to handle different page formats
-      $('.ranked-team, .team, .teamline').each((i, element) => {
-        console.log(`DEBUG: Found team element #${i+1}`);
-        
-        let rank = $(element).find('.position, .numberAndTrophy, .ranking-number').first().text().trim();
-        const name = $(element).find('.name, .nameCol, .ranking-team-name').first().text().trim();
-        const points = $(element).find('.points, .ratingCol, .ranking-team-points').first().text().trim() || 'N/A';
-        
-        console.log(`DEBUG: Raw data - rank: "${rank}", name: "${name}", points: "${points}"`);
-        
-        // Clean up the rank if needed
-        if (rank) {
-          rank = rank.replace(/[^0-9]/g, ''); // Remove non-numeric characters
-          console.log(`DEBUG: Cleaned rank: "${rank}"`);
-        }
-        
-        if (rank && name) {
-          teams.push({
-            rank,
-            name,
-            points
-          });
-          console.log(`DEBUG: Added team to results list`);
-        } else {
-          console.log(`DEBUG: Skipped team due to missing rank or name`);
-        }
-      });
+      // Clean up the ranks, removing non-numeric characters
+      const teams = rankedTeams
+        .map(team => ({ ...team, rank: team.rank.replace(/[^0-9]/g, '') }))
+        .filter(team => team.rank);
       
       if (teams.length > 0) {
         console.log(`Successfully fetched ${teams.length} teams from ${url}`);
-        this.saveToCache(this.cacheTeamsFile, teams);
+        if (updateCache) {
+          this.saveToCache(this.cacheTeamsFile, teams);
+        }
+        this.rankingHistory.addSnapshot(rankingDate, teams);
         return teams;
       } else {
         throw new Error(`No teams found at ${url}`);
@@ -995,7 +1375,175 @@ class HLTVScraper {
       console.error(`Error manually updating team rankings: ${error.message}`);
       throw error;
     }
-  }  /**
+  }
+  
+  /**
+   * Fetch the weekly rankings of past Mondays that aren't stored in the ranking history yet
+   * @param {number} weeks - Number of weeks to cover, the latest ranking included
+   * @returns {Promise<Array>} - Snapshot keys of the covered weeks, oldest first
+   */
+  async backfillRankingHistory(weeks) {
+    const backfill = async () => {
+      const dates = getWeeklyDates(getRankingMonday(), weeks);
+      
+      for (const date of dates.filter(date => !this.rankingHistory.getSnapshot(date))) {
+        try {
+          // updateTeamRankings doesn't go through makeRequest, so pace the backfill here
+          if (!this.isReplaying()) {
+            await this.enforceRateLimit('page');
+          }
+          await this.updateTeamRankings(date, { updateCache: false });
+        } catch (error) {
+          console.error(`Error backfilling the ranking of ${date}:`, error.message);
+        }
+      }
+      
+      return dates;
+    };
+    
+    // Run backfills one after another so overlapping lookups don't fetch the same weeks twice
+    this.rankingBackfill = (this.rankingBackfill || Promise.resolve()).catch(() => {}).then(backfill);
+    return this.rankingBackfill;
+  }
+  
+  /**
+   * Get ongoing and upcoming events from the HLTV.org events page
+   * @returns {Promise<Array>} - Events with name, dates, location, prize pool, tier and teams, empty on failure
+   */
+  async getEvents() {
+    const cachedEvents = this.loadFromCache(this.cacheEventsFile);
+    if (cachedEvents) {
+      return cachedEvents;
+    }
+    
+    try {
+      console.log('Attempting to fetch events from HLTV.org...');
+      const response = await this.makeRequest(`${this.baseUrl}/events`, {
+        sessionId: 'tournament_session',
+        requestType: 'page',
+        actionType: 'pageLoad',
+        timeout: 10000
+      });
+      
+      const events = this.parsePage(parsers.parseEvents, response.data);
+      
+      console.log(`Successfully fetched ${events.length} events`);
+      this.saveToCache(this.cacheEventsFile, events);
+      return events;
+    } catch (error) {
+      console.error('Error fetching events from HLTV.org:', error.message);
+      return [];
+    }
+  }
+  
+  /**
+   * Pick the event the bot presence should show
+   * Prefers running featured events, then the running event with the biggest prize pool,
+   * then the next featured event
+   * @param {Array} events - Events from getEvents
+   * @returns {Object|null} - Event or null if there are no events
+   */
+  pickCurrentEvent(events) {
+    const prizePool = event => parseInt((event.prizePool || '').replace(/[^0-9]/g, ''), 10) || 0;
+    const ongoing = events
+      .filter(event => event.status === 'ongoing')
+      .sort((a, b) => prizePool(b) - prizePool(a));
+    const upcoming = events.filter(event => event.status === 'upcoming');
+    return ongoing.find(event => event.featured) ||
+      ongoing[0] ||
+      upcoming.find(event => event.featured) ||
+      upcoming[0] ||
+      null;
+  }
+  
+  /**
+   * Get the latest player transfers from HLTV.org
+   * @returns {Promise<Array>} - Transfers with player, from-team, to-team and date, newest first, empty on failure
+   */
+  async getTransfers() {
+    const cachedTransfers = this.loadFromCache(this.cacheTransfersFile);
+    if (cachedTransfers) {
+      return cachedTransfers;
+    }
+    
+    try {
+      console.log('Attempting to fetch transfers from HLTV.org...');
+      const response = await this.makeRequest(`${this.baseUrl}/transfers`, { requestType: 'page' });
+      const transfers = this.parsePage(parsers.parseTransfers, response.data);
+      
+      console.log(`Successfully fetched ${transfers.length} transfers`);
+      this.saveToCache(this.cacheTransfersFile, transfers);
+      return transfers;
+    } catch (error) {
+      console.error('Error fetching transfers from HLTV.org:', error.message);
+      return [];
+    }
+  }
+  
+  /**
+   * Find an event by (part of) its name
+   * Matches the ongoing and upcoming events first and falls back to HLTV's search
+   * @param {string} query - Event name, e.g. "cologne"
+   * @returns {Promise<Object|null>} - { eventId, name, eventUrl } or null if not found
+   */
+  async findEvent(query) {
+    // The team name matcher works for any item with a name
+    const listedEvent = resolveTeam(query, await this.getEvents());
+    if (listedEvent) {
+      return listedEvent;
+    }
+    
+    const events = (await this.searchHltv(query, 'events'))
+      .map(event => {
+        const match = (event.location || '').match(/^\/events\/(\d+)\/[^/?#]+/);
+        return match ? { eventId: match[1], name: event.name, eventUrl: this.baseUrl + match[0] } : null;
+      })
+      .filter(Boolean);
+    
+    return resolveTeam(query, events) || events[0] || null;
+  }
+  
+  /**
+   * Get the group standings and playoff bracket of an event
+   * @param {string} query - Event name to look up (fuzzy matched)
+   * @returns {Promise<Object|null>} - Event details or null if the event wasn't found
+   */
+  async getEventDetails(query) {
+    const event = await this.findEvent(query);
+    if (!event) {
+      return null;
+    }
+    
+    // Standings change during the event, so keep them for 15 minutes only
+    const cachedDetails = this.loadFromKeyedCache(this.cacheEventDetailsFile, event.eventId, this.eventDetailsTTLHours);
+    if (cachedDetails) {
+      return cachedDetails;
+    }
+    
+    console.log(`Attempting to fetch event page: ${event.eventUrl}`);
+    const response = await this.makeRequest(event.eventUrl, {
+      sessionId: 'tournament_session',
+      requestType: 'page'
+    });
+    const page = parsers.parseEvent(response.data);
+    
+    const details = {
+      eventId: event.eventId,
+      name: page.name || event.name,
+      startDate: event.startDate || null,
+      endDate: event.endDate || null,
+      location: event.location || page.location,
+      prizePool: event.prizePool || page.prizePool,
+      groups: page.groups,
+      bracket: page.bracket,
+      eventUrl: event.eventUrl
+    };
+    
+    this.saveToKeyedCache(this.cacheEventDetailsFile, event.eventId, details);
+    return details;
+  }
+  
+  /**
    * Force update the tournament cache with current tournament
    * Use this on startup or when tournament cache might be outdated
    */
@@ -1046,65 +1594,11 @@ class HLTVScraper {
       
       // Try multiple methods for getting tournament info
       let tournamentName = '';
-        // Method 1: HLTV events page
-      try {
-        console.log('Trying events page for tournament info...');
-        
-        // Create a dedicated session for tournament requests
-        const tournamentSessionId = 'tournament_session';
-        const tournamentSession = this.getSession(tournamentSessionId);
-        console.log(`Using ${tournamentSession.profile.name} profile for events page...`);
-        
-        const response = await this.makeRequest(`${this.baseUrl}/events`, {
-          sessionId: tournamentSessionId,
-          requestType: 'page',
-          actionType: 'pageLoad',
-          timeout: 10000
-        });
-        
-        const $ = cheerio.load(response.data);
-        
-        // Look for featured event or top ongoing event
-        // Try to find the featured event first
-        $('.featured-event-box').each((i, element) => {
-          if (tournamentName) return; // Already found one
-          
-          const name = $(element).find('.featured-event-title').text().trim();
-          if (name) {
-            tournamentName = name;
-          }
-        });
-        
-        // If no featured event, get the first big event
-        if (!tournamentName) {
-          $('.big-event-container').each((i, element) => {
-            if (tournamentName) return; // Already found one
-            
-            const name = $(element).find('.big-event-name').text().trim();
-            if (name) {
-              tournamentName = name;
-            }
-          });
-        }
-        
-        // If still nothing, get any ongoing event
-        if (!tournamentName) {
-          $('.ongoing-event-container').each((i, element) => {
-            if (tournamentName) return; // Already found one
-            
-            const name = $(element).find('.event-name').text().trim();
-            if (name) {
-              tournamentName = name;
-            }
-          });
-        }
-        
-        if (tournamentName) {
-          console.log(`Found tournament from HLTV: ${tournamentName}`);
-        }
-      } catch (error) {
-        console.error('Error accessing HLTV.org events page:', error.message);
-        // Continue to next method
+      // Method 1: HLTV events data
+      const currentEvent = this.pickCurrentEvent(await this.getEvents());
+      if (currentEvent) {
+        tournamentName = currentEvent.name;
+        console.log(`Found tournament from HLTV events: ${tournamentName}`);
       }
       
       // Method 2: If Method 1 failed, try to get from HLTV matches page
@@ -1170,7 +1664,6 @@ class HLTVScraper {
           });
             // Look for tournament mentions in the text
           const tournamentPatterns = [
-            /IEM\s+Dallas\s+2025/gi,    // Specifically match IEM Dallas 2025 (current event)
             /IEM\s+\w+/gi,              // IEM Dallas, IEM Rio
             /ESL\s+Pro\s+League/gi,     // ESL Pro League
             /ESL\s+One\s+\w+/gi,        // ESL One Cologne
@@ -1193,9 +1686,9 @@ class HLTVScraper {
         }
       }
       
-      // Method 4: If all above failed, dynamically determine based on current CS event calendar
+      // Method 4: If all above failed, try the tournament APIs
       if (!tournamentName) {
-        console.log('Using dynamic tournament calendar lookup...');
+        console.log('Using dynamic tournament lookup...');
         tournamentName = await this.getDynamicCurrentTournament();
       }
       
@@ -1218,21 +1711,10 @@ class HLTVScraper {
     }
   }
     /**
-   * Get a dynamically determined tournament based on date and CS calendar
-   * @returns {Promise<string>} - A relevant tournament name
+   * Get the current tournament from third-party tournament APIs
+   * @returns {Promise<string>} - A relevant tournament name, empty if none was found
    */  async getDynamicCurrentTournament() {
     try {
-      // Current date check - hardcoded for known major events
-      const now = new Date();
-      const month = now.getMonth(); // 0-11
-      const year = now.getFullYear();
-      
-      // May 2025 is IEM Dallas 2025
-      if (month === 4 && year === 2025) {
-        console.log('Current date indicates IEM Dallas 2025 is the active tournament');
-        return 'IEM Dallas 2025';
-      }
-      
       // Attempt to get tournament data from esportsguide API
       console.log('Trying esportsguide API for tournaments...');
       
@@ -1379,39 +1861,9 @@ class HLTVScraper {
       console.error('Error accessing HLTV API endpoint:', error.message);
     }
     
-    // If all API attempts failed, use current date to estimate
-    console.log('All API methods failed, using date-based tournament estimation');
-    const now = new Date();
-    const month = now.getMonth(); // 0-11
-    const year = now.getFullYear();
-    
-    // Check for specific known tournaments based on current date
-    if (month === 4 && year === 2025) { // May 2025
-      return 'IEM Dallas 2025';
-    }
-    
-    // Return a generic but plausible tournament name based on the time of year
-    if (month === 0 || month === 1) { // Jan-Feb
-      return `BLAST Premier Spring Groups ${year}`;
-    } else if (month === 2) { // March
-      return `ESL Pro League Season ${Math.floor((year - 2015) * 2)}`;
-    } else if (month === 3) { // April
-      return `ESL Challenger ${month === 3 ? 'Spring' : 'Fall'} ${year}`;
-    } else if (month === 4) { // May
-      return `IEM Dallas ${year}`;
-    } else if (month === 5) { // June
-      return `BLAST Premier Spring Finals ${year}`;
-    } else if (month === 6 || month === 7) { // July-Aug
-      return `IEM Cologne ${year}`;
-    } else if (month === 8) { // Sept
-      return `ESL Pro League Season ${Math.floor((year - 2015) * 2 + 1)}`;
-    } else if (month === 9) { // Oct
-      return `BLAST Premier Fall Groups ${year}`;
-    } else if (month === 10) { // Nov
-      return `Major Championship ${year}`;
-    } else { // Dec
-      return `BLAST Premier World Final ${year}`;
-    }
+    // Don't guess from the calendar, a wrong event is worse than a generic status
+    console.log('All tournament API methods failed');
+    return '';
   }
 }
 
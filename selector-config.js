@@ -0,0 +1,134 @@
+/**
+ * Selector configuration
+ *
+ * The CSS selectors of every parsed HLTV page live in selectors.json instead
+ * of the scraper code. Each page lists the selectors of its items and, per
+ * field, an ordered list of fallbacks: the first one that finds a value wins.
+ * A "selectors" section in config.json overrides single pages or fields and
+ * is reloaded as soon as the file changes, so a broken selector can be fixed
+ * without restarting the bot.
+ *
+ * Field fallbacks are either a selector (text of the first match) or an object:
+ *   { "selector": "a", "attribute": "href" }   attribute of the first match
+ *   { "selector": "img", "attribute": "title", "all": true }   values of every match
+ *   { "is": ".big-event" }   whether the item itself matches
+ * The selector ":self" stands for the item element. The selectors are applied
+ * by the parsers in parsers.js.
+ */
+
+const fs = require('fs');
+
+/**
+ * Apply config.json overrides to the selectors of the pages
+ * @param {Object} pages - Pages from selectors.json
+ * @param {Object} overrides - "selectors" section of config.json
+ * @returns {Object} - Pages with the overridden item and field selectors replaced
+ */
+function applyOverrides(pages, overrides) {
+  const merged = {};
+  for (const [page, definition] of Object.entries(pages)) {
+    merged[page] = { items: definition.items, fields: { ...definition.fields } };
+  }
+
+  for (const [page, override] of Object.entries(overrides || {})) {
+    if (!merged[page]) {
+      console.warn(`Ignoring selector override for unknown page "${page}"`);
+      continue;
+    }
+
+    if (override.items !== undefined) {
+      merged[page].items = [].concat(override.items);
+    }
+    for (const [field, entries] of Object.entries(override.fields || {})) {
+      merged[page].fields[field] = [].concat(entries);
+    }
+  }
+
+  return merged;
+}
+
+class SelectorConfig {
+  /**
+   * @param {string} selectorsPath - Path to selectors.json
+   * @param {string} configPath - Path to config.json with the optional "selectors" overrides
+   */
+  constructor(selectorsPath, configPath) {
+    this.selectorsPath = selectorsPath;
+    this.configPath = configPath;
+    this.pages = {};
+    this.overrides = [];
+    this.configModified = null;
+
+    const selectors = JSON.parse(fs.readFileSync(selectorsPath, 'utf8'));
+    this.version = selectors.version;
+    this.defaults = selectors.pages;
+    this.reloadOverrides();
+  }
+
+  /**
+   * Reload the config.json overrides if the file changed since they were loaded
+   * An invalid config.json keeps the previous overrides
+   */
+  reloadOverrides() {
+    let modified = null;
+    try {
+      modified = fs.existsSync(this.configPath) ? fs.statSync(this.configPath).mtimeMs : null;
+    } catch (error) {
+      console.error('Error checking config.json for selector overrides:', error.message);
+      return;
+    }
+
+    if (this.configModified !== null && modified === this.configModified) {
+      return;
+    }
+
+    try {
+      const config = modified !== null ? JSON.parse(fs.readFileSync(this.configPath, 'utf8')) : {};
+      this.pages = applyOverrides(this.defaults, config.selectors);
+      this.overrides = Object.keys(config.selectors || {}).filter(page => this.defaults[page]);
+      this.configModified = modified;
+
+      console.log(`Loaded selectors v${this.version}` +
+        (this.overrides.length > 0 ? ` with overrides for ${this.overrides.join(', ')}` : ''));
+    } catch (error) {
+      console.error('Error loading selector overrides from config.json:', error.message);
+      this.configModified = modified;
+      if (Object.keys(this.pages).length === 0) {
+        this.pages = applyOverrides(this.defaults, {});
+      }
+    }
+  }
+
+  /**
+   * Get the selectors of a page
+   * @param {string} page - Page name, e.g. "matches"
+   * @returns {Object} - { items, fields }
+   */
+  get(page) {
+    this.reloadOverrides();
+    if (!this.pages[page]) {
+      throw new Error(`No selectors defined for page "${page}"`);
+    }
+    return this.pages[page];
+  }
+
+  /**
+   * Get the selectors of every page, with the config.json overrides applied
+   * @returns {Object} - { items, fields } keyed by page, as expected by the parsers
+   */
+  getPages() {
+    this.reloadOverrides();
+    return this.pages;
+  }
+
+  /**
+   * Get the selector version and the pages overridden in config.json
+   * @returns {Object} - { version, overrides }
+   */
+  getStatus() {
+    this.reloadOverrides();
+    return { version: this.version, overrides: this.overrides };
+  }
+}
+
+module.exports = SelectorConfig;
@@ -0,0 +1,309 @@
+/**
+ * Slash command definitions
+ *
+ * Application command versions of the prefix commands handled in index.js.
+ * Slash commands do not need the privileged MessageContent intent, so they
+ * keep working when prefix commands are disabled.
+ */
+const { SlashCommandBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+
+/**
+ * Add the type, term and channel options shared by the filter subcommands
+ * @param {SlashCommandSubcommandBuilder} subcommand - Subcommand to extend
+ * @returns {SlashCommandSubcommandBuilder} - The same subcommand
+ */
+function addFilterOptions(subcommand) {
+  return subcommand
+    .addStringOption(option => option
+      .setName('type')
+      .setDescription('Filter type')
+      .setRequired(true)
+      .addChoices(
+        { name: 'include', value: 'include' },
+        { name: 'exclude', value: 'exclude' }
+      ))
+    .addStringOption(option => option
+      .setName('term')
+      .setDescription('Team, player or keyword')
+      .setRequired(true)
+      .setMaxLength(100))
+    .addChannelOption(option => option
+      .setName('channel')
+      .setDescription('Subscribed channel (default: this channel)')
+      .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement));
+}
+
+/**
+ * Add the feed choices shared by the subscribe commands
+ * @param {SlashCommandStringOption} option - Option to extend
+ * @returns {SlashCommandStringOption} - The same option
+ */
+function addFeedChoices(option) {
+  return option.addChoices(
+    { name: 'news', value: 'news' },
+    { name: 'transfers', value: 'transfers' }
+  );
+}
+
+const slashCommands = [
+  new SlashCommandBuilder()
+    .setName('csnews')
+    .setDescription('Check HLTV.org for the latest CS news'),
+
+  new SlashCommandBuilder()
+    .setName('csmatches')
+    .setDescription('Show upcoming CS matches')
+    .addIntegerOption(option => option
+      .setName('limit')
+      .setDescription('Number of matches to show (default 5)')
+      .setMinValue(1)
+      .setMaxValue(10)),
+
+  new SlashCommandBuilder()
+    .setName('csteams')
+    .setDescription('Show the current HLTV.org team rankings')
+    .addIntegerOption(option => option
+      .setName('limit')
+      .setDescription('Number of teams to show (default 10)')
+      .setMinValue(1)
+      .setMaxValue(25)),
+
+  new SlashCommandBuilder()
+    .setName('csteam')
+    .setDescription('Show a team\'s roster, coach, ranking, recent results and upcoming matches')
+    .addStringOption(option => option
+      .setName('name')
+      .setDescription('Team name, abbreviations work too (e.g. navi)')
+      .setRequired(true)
+      .setMaxLength(100)),
+
+  new SlashCommandBuilder()
+    .setName('csplayer')
+    .setDescription('Show a player\'s team, country, 3 month rating and recent team changes')
+    .addStringOption(option => option
+      .setName('nick')
+      .setDescription('Player nickname (e.g. ZywOo)')
+      .setRequired(true)
+      .setMaxLength(100)),
+
+  new SlashCommandBuilder()
+    .setName('csmovers')
+    .setDescription('Show which teams climbed or fell since the previous weekly ranking'),
+
+  new SlashCommandBuilder()
+    .setName('csrankhistory')
+    .setDescription('Show how a team\'s rank and points changed over the last weeks')
+    .addStringOption(option => option
+      .setName('team')
+      .setDescription('Team name, abbreviations work too (e.g. navi)')
+      .setRequired(true)
+      .setMaxLength(100))
+    .addIntegerOption(option => option
+      .setName('weeks')
+      .setDescription('Number of weeks to show (default 12)')
+      .setMinValue(2)
+      .setMaxValue(26)),
+
+  new SlashCommandBuilder()
+    .setName('csevents')
+    .setDescription('Show ongoing and upcoming CS tournaments'),
+
+  new SlashCommandBuilder()
+    .setName('csevent')
+    .setDescription('Show the group standings and playoff bracket of an event')
+    .addStringOption(option => option
+      .setName('name')
+      .setDescription('Event name, part of it is enough (e.g. cologne)')
+      .setRequired(true)
+      .setMaxLength(100)),
+
+  new SlashCommandBuilder()
+    .setName('cstransfers')
+    .setDescription('Show the latest CS player transfers'),
+
+  new SlashCommandBuilder()
+    .setName('cssummary')
+    .setDescription('Summarize an HLTV.org article in a few sentences')
+    .addStringOption(option => option
+      .setName('url')
+      .setDescription('Article link, e.g. https://www.hltv.org/news/12345/article-title')
+      .setRequired(true)
+      .setMaxLength(300)),
+
+  new SlashCommandBuilder()
+    .setName('csrankings')
+    .setDescription('Show HLTV.org team rankings for a specific date')
+    .addStringOption(option => option
+      .setName('date')
+      .setDescription('Date, month or "last week" (e.g. 2024-03-14, 2024-03, 2025/may/12)')
+      .setRequired(true)),
+
+  new SlashCommandBuilder()
+    .setName('csreset')
+    .setDescription('Reset the posted article history and news cache')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
+
+  new SlashCommandBuilder()
+    .setName('csstatus')
+    .setDescription('Show cache ages, news source, scraping health, rate limits and scheduled checks')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
+
+  new SlashCommandBuilder()
+    .setName('cssubscribe')
+    .setDescription('Post CS news updates in a channel')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .addChannelOption(option => option
+      .setName('channel')
+      .setDescription('Channel to post news in (default: this channel)')
+      .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+    .addStringOption(option => addFeedChoices(option
+      .setName('feed')
+      .setDescription('What to post (default: news)'))),
+
+  new SlashCommandBuilder()
+    .setName('csunsubscribe')
+    .setDescription('Stop posting CS news updates in a channel')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .addChannelOption(option => option
+      .setName('channel')
+      .setDescription('Channel to stop posting news in (default: this channel)')
+      .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+    .addStringOption(option => addFeedChoices(option
+      .setName('feed')
+      .setDescription('What to stop posting (default: news)'))),
+
+  new SlashCommandBuilder()
+    .setName('cssubscriptions')
+    .setDescription('List the channels of this server that receive CS news updates'),
+
+  new SlashCommandBuilder()
+    .setName('csfilter')
+    .setDescription('Manage the keyword filters of a news channel')
+    // Not limited to administrators so everyone can list filters; add and remove are checked in index.js
+    .addSubcommand(subcommand => addFilterOptions(subcommand
+      .setName('add')
+      .setDescription('Only post (include) or skip (exclude) articles mentioning a term')))
+    .addSubcommand(subcommand => addFilterOptions(subcommand
+      .setName('remove')
+      .setDescription('Remove a keyword filter')))
+    .addSubcommand(subcommand => subcommand
+      .setName('list')
+      .setDescription('Show the keyword filters of a channel')
+      .addChannelOption(option => option
+        .setName('channel')
+        .setDescription('Subscribed channel (default: this channel)')
+        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))),
+
+  new SlashCommandBuilder()
+    .setName('csresults')
+    .setDescription('Show recent CS match results')
+    .addStringOption(option => option
+      .setName('team')
+      .setDescription('Only show results of this team')
+      .setMaxLength(100)),
+
+  new SlashCommandBuilder()
+    .setName('csautoresults')
+    .setDescription('Post results of the teams a subscribed channel follows')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .addBooleanOption(option => option
+      .setName('enabled')
+      .setDescription('Turn automatic results on or off')
+      .setRequired(true))
+    .addChannelOption(option => option
+      .setName('channel')
+      .setDescription('Subscribed channel (default: this channel)')
+      .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)),
+
+  new SlashCommandBuilder()
+    .setName('cslive')
+    .setDescription('Live CS matches')
+    .addSubcommand(subcommand => subcommand
+      .setName('list')
+      .setDescription('List the matches that are live right now'))
+    .addSubcommand(subcommand => subcommand
+      .setName('track')
+      .setDescription('Admin only: pin a status message that follows a live match')
+      .addIntegerOption(option => option
+        .setName('number')
+        .setDescription('Number of the match in /cslive list')
+        .setRequired(true)
+        .setMinValue(1))
+      .addChannelOption(option => option
+        .setName('channel')
+        .setDescription('Channel to post the status message in (default: this channel)')
+        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)))
+    .addSubcommand(subcommand => subcommand
+      .setName('stop')
+      .setDescription('Admin only: stop updating the live match messages of a channel')
+      .addChannelOption(option => option
+        .setName('channel')
+        .setDescription('Channel with the status messages (default: this channel)')
+        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))),
+
+  new SlashCommandBuilder()
+    .setName('csfollow')
+    .setDescription('Get a reminder before a team plays')
+    .addStringOption(option => option
+      .setName('team')
+      .setDescription('Team name as shown on HLTV.org')
+      .setRequired(true)
+      .setMaxLength(100))
+    .addIntegerOption(option => option
+      .setName('minutes')
+      .setDescription('Minutes before the match to send the reminder (default 15)')
+      .setMinValue(1)
+      .setMaxValue(1440))
+    .addChannelOption(option => option
+      .setName('channel')
+      .setDescription('Admin only: post the reminder in a channel instead of a DM')
+      .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+    .addRoleOption(option => option
+      .setName('role')
+      .setDescription('Role to ping in channel reminders')),
+
+  new SlashCommandBuilder()
+    .setName('csunfollow')
+    .setDescription('Stop match reminders for a team')
+    .addStringOption(option => option
+      .setName('team')
+      .setDescription('Team name')
+      .setRequired(true)
+      .setMaxLength(100))
+    .addChannelOption(option => option
+      .setName('channel')
+      .setDescription('Admin only: remove the reminders of a channel instead of your DMs')
+      .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)),
+
+  new SlashCommandBuilder()
+    .setName('csfollows')
+    .setDescription('List your followed teams and the channel reminders of this server'),
+
+  new SlashCommandBuilder()
+    .setName('help')
+    .setDescription('Show the available CS News Bot commands')
+];
+
+/**
+ * Register all slash commands with Discord
+ * Guild commands update instantly, global commands can take up to an hour
+ * @param {Client} client - Logged in Discord client
+ * @param {string} guildId - Optional guild ID to register the commands in
+ * @returns {Promise<number>} - Number of registered commands
+ */
+async function registerSlashCommands(client, guildId = null) {
+  const commandData = slashCommands.map(command => command.toJSON());
+
+  if (guildId) {
+    await client.application.commands.set(commandData, guildId);
+  } else {
+    await client.application.commands.set(commandData);
+  }
+
+  return commandData.length;
+}
+
+module.exports = {
+  slashCommands,
+  registerSlashCommands
+};
@@ -0,0 +1,527 @@
+const fs = require('fs');
+const path = require('path');
+const { createEmptyFilters, normalizeFilterTerm } = require('./news-filters');
+const { getArticleId } = require('./article-ids');
+
+/**
+ * Persistent registry of news subscriptions
+ *
+ * Subscriptions are keyed by guild and channel. Each subscribed channel keeps
+ * its own list of posted articles so channels can be added or reset without
+ * affecting what the other channels have already received. Transfer
+ * subscriptions are kept separately, so a channel can receive news,
+ * transfers or both.
+ */
+class SubscriptionStore {
+  /**
+   * @param {string} filePath - Path to the JSON file backing the store
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = {
+      legacyMigrated: false,
+      guilds: {}
+    };
+
+    this.load();
+  }
+
+  /**
+   * Load subscriptions from disk
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const loaded = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.data = {
+          legacyMigrated: Boolean(loaded.legacyMigrated),
+          guilds: loaded.guilds || {}
+        };
+        console.log(`Loaded ${this.getAllSubscriptions().length} news and ${this.getAllTransferSubscriptions().length} transfer subscriptions from file`);
+        this.migratePostedArticles();
+      } else {
+        console.log('No subscriptions file found, will create one when a channel subscribes');
+      }
+    } catch (error) {
+      console.error('Error loading subscriptions from file:', error);
+    }
+  }
+
+  /**
+   * Add canonical article IDs to posted articles stored before they existed
+   * Records of the same story posted from different sources are merged, keeping the latest one
+   */
+  migratePostedArticles() {
+    let migrated = 0;
+
+    for (const { subscription } of this.getAllSubscriptions()) {
+      const records = subscription.postedArticles || [];
+      if (records.every(record => record.articleId)) continue;
+
+      const byId = new Map();
+      for (const record of records) {
+        const articleId = record.articleId || getArticleId(record);
+        byId.delete(articleId);
+        byId.set(articleId, { ...record, articleId });
+      }
+
+      subscription.postedArticles = [...byId.values()];
+      migrated++;
+    }
+
+    if (migrated > 0) {
+      console.log(`Added article IDs to the posted articles of ${migrated} channels`);
+      this.save();
+    }
+  }
+
+  /**
+   * Save subscriptions to disk
+   */
+  save() {
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.writeFileSync(this.filePath, JSON.stringify(this.data, null, 2));
+    } catch (error) {
+      console.error('Error saving subscriptions to file:', error);
+    }
+  }
+
+  /**
+   * Get the entry of a guild, creating it if needed
+   * @param {string} guildId - Guild ID
+   * @returns {Object} - Guild entry with news and transfer channels
+   */
+  getGuild(guildId) {
+    if (!this.data.guilds[guildId]) {
+      this.data.guilds[guildId] = { channels: {}, transferChannels: {} };
+    }
+    if (!this.data.guilds[guildId].transferChannels) {
+      this.data.guilds[guildId].transferChannels = {};
+    }
+    return this.data.guilds[guildId];
+  }
+
+  /**
+   * Remove a guild entry once it has no news or transfer channels left
+   * @param {string} guildId - Guild ID
+   */
+  pruneGuild(guildId) {
+    const guild = this.data.guilds[guildId];
+    if (guild && Object.keys(guild.channels).length === 0 && Object.keys(guild.transferChannels || {}).length === 0) {
+      delete this.data.guilds[guildId];
+    }
+  }
+
+  /**
+   * Get a single channel subscription
+   * @param {string} guildId - Guild ID
+   * @param {string} channelId - Channel ID
+   * @returns {Object|null} - Subscription or null if the channel isn't subscribed
+   */
+  getSubscription(guildId, channelId) {
+    const guild = this.data.guilds[guildId];
+    return (guild && guild.channels[channelId]) || null;
+  }
+
+  /**
+   * Subscribe a channel to news updates
+   * @param {string} guildId - Guild ID
+   * @param {string} channelId - Channel ID
+   * @param {Object} options - Subscription options
+   * @param {string} options.addedBy - ID of the user who added the subscription
+   * @param {Array} options.seedArticles - Articles to mark as already posted
+   * @returns {boolean} - False if the channel was already subscribed
+   */
+  addChannel(guildId, channelId, { addedBy = null, seedArticles = [] } = {}) {
+    if (this.getSubscription(guildId, channelId)) {
+      return false;
+    }
+
+    this.getGuild(guildId).channels[channelId] = {
+      addedAt: new Date().toISOString(),
+      addedBy,
+      filters: createEmptyFilters(),
+      postedArticles: seedArticles.map(article => this.cleanArticle(article))
+    };
+
+    this.save();
+    return true;
+  }
+
+  /**
+   * Unsubscribe a channel from news updates
+   * @param {string} guildId - Guild ID
+   * @param {string} channelId - Channel ID
+   * @returns {boolean} - False if the channel wasn't subscribed
+   */
+  removeChannel(guildId, channelId) {
+    if (!this.getSubscription(guildId, channelId)) {
+      return false;
+    }
+
+    delete this.data.guilds[guildId].channels[channelId];
+    this.pruneGuild(guildId);
+
+    this.save();
+    return true;
+  }
+
+  /**
+   * Remove every subscription of a guild (e.g. when the bot leaves it)
+   * @param {string} guildId - Guild ID
+   * @returns {number} - Number of removed subscriptions
+   */
+  removeGuild(guildId) {
+    const guild = this.data.guilds[guildId];
+    if (!guild) {
+      return 0;
+    }
+
+    const count = Object.keys(guild.channels).length + Object.keys(guild.transferChannels || {}).length;
+    delete this.data.guilds[guildId];
+    this.save();
+    return count;
+  }
+
+  /**
+   * Get all subscriptions of a guild
+   * @param {string} guildId - Guild ID
+   * @returns {Array} - Array of { guildId, channelId, subscription }
+   */
+  getGuildSubscriptions(guildId) {
+    const guild = this.data.guilds[guildId];
+    if (!guild) {
+      return [];
+    }
+
+    return Object.entries(guild.channels).map(([channelId, subscription]) => ({
+      guildId,
+      channelId,
+      subscription
+    }));
+  }
+
+  /**
+   * Get every subscription across all guilds
+   * @returns {Array} - Array of { guildId, channelId, subscription }
+   */
+  getAllSubscriptions() {
+    return Object.keys(this.data.guilds)
+      .flatMap(guildId => this.getGuildSubscriptions(guildId));
+  }
+
+  /**
+   * Get articles already posted to a channel
+   * @param {string} guildId - Guild ID
+   * @param {string} channelId - Channel ID
+   * @returns {Array} - Posted articles
+   */
+  getPostedArticles(guildId, channelId) {
+    const subscription = this.getSubscription(guildId, channelId);
+    return subscription ? subscription.postedArticles : [];
+  }
+
+  /**
+   * Record articles as posted to a channel and prune old entries
+   * @param {string} guildId - Guild ID
+   * @param {string} channelId - Channel ID
+   * @param {Array} articles - Newly posted articles
+   * @param {number} maxToKeep - Maximum number of articles to keep for the channel
+   */
+  recordPostedArticles(guildId, channelId, articles, maxToKeep) {
+    const subscription = this.getSubscription(guildId, channelId);
+    if (!subscription) {
+      return;
+    }
+
+    subscription.postedArticles = [
+      ...subscription.postedArticles,
+      ...articles.map(article => this.cleanArticle(article))
+    ];
+
+    if (subscription.postedArticles.length > maxToKeep) {
+      subscription.postedArticles = subscription.postedArticles.slice(subscription.postedArticles.length - maxToKeep);
+    }
+
+    this.save();
+  }
+
+  /**
+   * Clear the posted article history of every channel in a guild
+   * @param {string} guildId - Guild ID
+   * @returns {number} - Number of channels that were reset
+   */
+  resetPostedArticles(guildId) {
+    const subscriptions = this.getGuildSubscriptions(guildId);
+    for (const { subscription } of subscriptions) {
+      subscription.postedArticles = [];
+    }
+
+    this.save();
+    return subscriptions.length;
+  }
+
+  /**
+   * Get the keyword filters of a channel
+   * @param {string} guildId - Guild ID
+   * @param {string} channelId - Channel ID
+   * @returns {Object} - Filter set with include and exclude lists
+   */
+  getFilters(guildId, channelId) {
+    const subscription = this.getSubscription(guildId, channelId);
+    if (!subscription) {
+      return createEmptyFilters();
+    }
+
+    // Subscriptions created before filters existed don't have them yet
+    if (!subscription.filters) {
+      subscription.filters = createEmptyFilters();
+    }
+
+    return subscription.filters;
+  }
+
+  /**
+   * Add a keyword filter to a channel
+   * @param {string} guildId - Guild ID
+   * @param {string} channelId - Channel ID
+   * @param {string} type - Filter type ('include' or 'exclude')
+   * @param {string} term - Team, player or keyword to match
+   * @returns {boolean} - False if the channel isn't subscribed or the filter already exists
+   */
+  addFilter(guildId, channelId, type, term) {
+    const normalized = normalizeFilterTerm(term);
+    if (!normalized || !this.getSubscription(guildId, channelId)) {
+      return false;
+    }
+
+    const filters = this.getFilters(guildId, channelId);
+    if (filters[type].includes(normalized)) {
+      return false;
+    }
+
+    filters[type].push(normalized);
+    this.save();
+    return true;
+  }
+
+  /**
+   * Remove a keyword filter from a channel
+   * @param {string} guildId - Guild ID
+   * @param {string} channelId - Channel ID
+   * @param {string} type - Filter type ('include' or 'exclude')
+   * @param {string} term - Term to remove
+   * @returns {boolean} - False if the filter didn't exist
+   */
+  removeFilter(guildId, channelId, type, term) {
+    const normalized = normalizeFilterTerm(term);
+    const filters = this.getFilters(guildId, channelId);
+    const index = filters[type].indexOf(normalized);
+    if (index === -1) {
+      return false;
+    }
+
+    filters[type].splice(index, 1);
+    this.save();
+    return true;
+  }
+
+  /**
+   * Enable or disable automatic result posting for a channel
+   * @param {string} guildId - Guild ID
+   * @param {string} channelId - Channel ID
+   * @param {boolean} enabled - Whether results of followed teams should be posted
+   * @param {Array} seedKeys - Result keys to mark as already posted when enabling
+   * @returns {boolean} - False if the channel isn't subscribed
+   */
+  setResultsEnabled(guildId, channelId, enabled, seedKeys = []) {
+    const subscription = this.getSubscription(guildId, channelId);
+    if (!subscription) {
+      return false;
+    }
+
+    subscription.postResults = enabled;
+    if (enabled) {
+      subscription.postedResults = [...seedKeys];
+    }
+
+    this.save();
+    return true;
+  }
+
+  /**
+   * Get result keys already handled for a channel
+   * @param {string} guildId - Guild ID
+   * @param {string} channelId - Channel ID
+   * @returns {Array} - Posted result keys
+   */
+  getPostedResults(guildId, channelId) {
+    const subscription = this.getSubscription(guildId, channelId);
+    return (subscription && subscription.postedResults) || [];
+  }
+
+  /**
+   * Record result keys as handled for a channel and prune old entries
+   * @param {string} guildId - Guild ID
+   * @param {string} channelId - Channel ID
+   * @param {Array} keys - Newly handled result keys
+   * @param {number} maxToKeep - Maximum number of keys to keep for the channel
+   */
+  recordPostedResults(guildId, channelId, keys, maxToKeep) {
+    const subscription = this.getSubscription(guildId, channelId);
+    if (!subscription) {
+      return;
+    }
+
+    subscription.postedResults = [...(subscription.postedResults || []), ...keys];
+    if (subscription.postedResults.length > maxToKeep) {
+      subscription.postedResults = subscription.postedResults.slice(subscription.postedResults.length - maxToKeep);
+    }
+
+    this.save();
+  }
+
+  /**
+   * Get a single transfer subscription
+   * @param {string} guildId - Guild ID
+   * @param {string} channelId - Channel ID
+   * @returns {Object|null} - Subscription or null if the channel doesn't receive transfers
+   */
+  getTransferSubscription(guildId, channelId) {
+    const guild = this.data.guilds[guildId];
+    return (guild && guild.transferChannels && guild.transferChannels[channelId]) || null;
+  }
+
+  /**
+   * Subscribe a channel to transfer updates
+   * @param {string} guildId - Guild ID
+   * @param {string} channelId - Channel ID
+   * @param {Object} options - Subscription options
+   * @param {string} options.addedBy - ID of the user who added the subscription
+   * @param {Array} options.seedKeys - Transfer keys to mark as already posted
+   * @returns {boolean} - False if the channel was already subscribed
+   */
+  addTransferChannel(guildId, channelId, { addedBy = null, seedKeys = [] } = {}) {
+    if (this.getTransferSubscription(guildId, channelId)) {
+      return false;
+    }
+
+    this.getGuild(guildId).transferChannels[channelId] = {
+      addedAt: new Date().toISOString(),
+      addedBy,
+      postedTransfers: [...seedKeys]
+    };
+
+    this.save();
+    return true;
+  }
+
+  /**
+   * Unsubscribe a channel from transfer updates
+   * @param {string} guildId - Guild ID
+   * @param {string} channelId - Channel ID
+   * @returns {boolean} - False if the channel wasn't subscribed
+   */
+  removeTransferChannel(guildId, channelId) {
+    if (!this.getTransferSubscription(guildId, channelId)) {
+      return false;
+    }
+
+    delete this.data.guilds[guildId].transferChannels[channelId];
+    this.pruneGuild(guildId);
+
+    this.save();
+    return true;
+  }
+
+  /**
+   * Get all transfer subscriptions of a guild
+   * @param {string} guildId - Guild ID
+   * @returns {Array} - Array of { guildId, channelId, subscription }
+   */
+  getGuildTransferSubscriptions(guildId) {
+    const guild = this.data.guilds[guildId];
+    if (!guild || !guild.transferChannels) {
+      return [];
+    }
+
+    return Object.entries(guild.transferChannels).map(([channelId, subscription]) => ({
+      guildId,
+      channelId,
+      subscription
+    }));
+  }
+
+  /**
+   * Get every transfer subscription across all guilds
+   * @returns {Array} - Array of { guildId, channelId, subscription }
+   */
+  getAllTransferSubscriptions() {
+    return Object.keys(this.data.guilds)
+      .flatMap(guildId => this.getGuildTransferSubscriptions(guildId));
+  }
+
+  /**
+   * Get transfer keys already posted to a channel
+   * @param {string} guildId - Guild ID
+   * @param {string} channelId - Channel ID
+   * @returns {Array} - Posted transfer keys
+   */
+  getPostedTransfers(guildId, channelId) {
+    const subscription = this.getTransferSubscription(guildId, channelId);
+    return subscription ? subscription.postedTransfers : [];
+  }
+
+  /**
+   * Record transfer keys as posted to a channel and prune old entries
+   * @param {string} guildId - Guild ID
+   * @param {string} channelId - Channel ID
+   * @param {Array} keys - Newly posted transfer keys
+   * @param {number} maxToKeep - Maximum number of keys to keep for the channel
+   */
+  recordPostedTransfers(guildId, channelId, keys, maxToKeep) {
+    const subscription = this.getTransferSubscription(guildId, channelId);
+    if (!subscription) {
+      return;
+    }
+
+    subscription.postedTransfers = [...subscription.postedTransfers, ...keys];
+    if (subscription.postedTransfers.length > maxToKeep) {
+      subscription.postedTransfers = subscription.postedTransfers.slice(subscription.postedTransfers.length - maxToKeep);
+    }
+
+    this.save();
+  }
+
+  /**
+   * Check whether the legacy single-channel setup was already migrated
+   * @returns {boolean} - True if the migration already ran
+   */
+  isLegacyMigrated() {
+    return this.data.legacyMigrated;
+  }
+
+  /**
+   * Mark the legacy single-channel setup as migrated
+   */
+  markLegacyMigrated() {
+    this.data.legacyMigrated = true;
+    this.save();
+  }
+
+  /**
+   * Strip runtime-only flags before storing an article and add its canonical ID
+   * @param {Object} article - Article object
+   * @returns {Object} - Article without runtime flags, with an articleId
+   */
+  cleanArticle(article) {
+    const { fromCache, ...rest } = article;
+    return { ...rest, articleId: rest.articleId || getArticleId(rest) };
+  }
+}
+
+module.exports = SubscriptionStore;
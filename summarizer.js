@@ -0,0 +1,130 @@
+/**
+ * Extractive article summaries
+ *
+ * Builds a short TL;DR from the sentences of an article without any external
+ * service. Sentences are scored by how many of the article's frequent words
+ * they contain, with a bonus for the opening sentences where news articles put
+ * the key facts. The best sentences are returned in their original order.
+ */
+
+// Common English words that say nothing about the topic of an article
+const STOP_WORDS = new Set(('a about after again against all also am an and any are as at be because been before being ' +
+  'between both but by can could did do does doing down during each few for from further had has have having he her ' +
+  'here hers him his how i if in into is it its just me more most my no nor not now of off on once only or other our ' +
+  'out over own same she should so some such than that the their them then there these they this those through to ' +
+  'too under until up very was we were what when where which while who whom why will with would you your said says ' +
+  'one two three new first last year years team teams').split(' '));
+
+// Abbreviations whose period doesn't end a sentence
+const ABBREVIATIONS = ['vs', 'mr', 'mrs', 'dr', 'st', 'no', 'approx', 'etc', 'e.g', 'i.e'];
+
+/**
+ * Split text into sentences
+ * @param {string} text - Article text, paragraphs separated by blank lines
+ * @returns {Array} - Trimmed sentences
+ */
+function splitSentences(text) {
+  const sentences = [];
+
+  for (const paragraph of String(text || '').split(/\n+/)) {
+    let current = '';
+    const parts = paragraph.split(/(?<=[.!?])\s+(?=["'(]?[A-Z0-9])/);
+
+    for (const part of parts) {
+      current = current ? `${current} ${part}` : part;
+      const lastWord = (current.match(/(\S+)\.$/) || [])[1];
+      if (lastWord && ABBREVIATIONS.includes(lastWord.toLowerCase())) {
+        continue;
+      }
+      sentences.push(current.trim());
+      current = '';
+    }
+
+    if (current.trim()) {
+      sentences.push(current.trim());
+    }
+  }
+
+  return sentences.filter(sentence => sentence.length > 0);
+}
+
+/**
+ * Get the topic words of a sentence
+ * @param {string} sentence - Sentence to split
+ * @returns {Array} - Lowercase words without stop words
+ */
+function getWords(sentence) {
+  return (sentence.toLowerCase().match(/[a-z0-9][a-z0-9'-]*/g) || [])
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+}
+
+/**
+ * Shorten text to a maximum length without cutting a word in half
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum length in characters, including the ellipsis
+ * @returns {string} - The text, or its longest whole-word prefix followed by an ellipsis
+ */
+function truncateAtWord(text, maxLength) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+
+  const cut = text.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  // A single word longer than the limit has to be cut
+  const prefix = lastSpace > 0 ? cut.slice(0, lastSpace) : cut;
+  return `${prefix.replace(/[\s,;:.!?-]+$/, '')}…`;
+}
+
+/**
+ * Summarize text by picking its most representative sentences
+ * @param {string} text - Article text
+ * @param {Object} options - Summary options
+ * @param {number} options.sentences - Number of sentences to keep (default 3)
+ * @param {number} options.maxLength - Maximum summary length in characters (default 600)
+ * @returns {string} - Summary, or an empty string if the text has no sentences
+ */
+function summarize(text, { sentences: sentenceCount = 3, maxLength = 600 } = {}) {
+  // Very short sentences are usually captions or bylines
+  const sentences = splitSentences(text).filter(sentence => getWords(sentence).length >= 3);
+  if (sentences.length <= sentenceCount) {
+    return truncateAtWord(sentences.join(' '), maxLength);
+  }
+
+  const frequencies = {};
+  for (const sentence of sentences) {
+    for (const word of new Set(getWords(sentence))) {
+      frequencies[word] = (frequencies[word] || 0) + 1;
+    }
+  }
+  const maxFrequency = Math.max(...Object.values(frequencies));
+
+  const scored = sentences.map((sentence, index) => {
+    const words = getWords(sentence);
+    const weight = words.reduce((sum, word) => sum + frequencies[word] / maxFrequency, 0);
+    const positionBonus = index === 0 ? 1.5 : index < 3 ? 1.2 : 1;
+    // Divide by the square root of the length so long sentences don't win on length alone
+    return { sentence, index, score: (weight / Math.sqrt(words.length)) * positionBonus };
+  });
+
+  const picked = scored
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, sentenceCount)
+    .sort((a, b) => a.index - b.index);
+
+  // Drop the weakest sentences if the summary doesn't fit, but always keep one
+  let summary = picked.map(entry => entry.sentence).join(' ');
+  while (summary.length > maxLength && picked.length > 1) {
+    const weakest = picked.reduce((lowest, entry) => entry.score < lowest.score ? entry : lowest);
+    picked.splice(picked.indexOf(weakest), 1);
+    summary = picked.map(entry => entry.sentence).join(' ');
+  }
+
+  return truncateAtWord(summary, maxLength);
+}
+
+module.exports = {
+  splitSentences,
+  truncateAtWord,
+  summarize
+};
@@ -0,0 +1,117 @@
+/**
+ * Team name helpers shared by the commands that match teams by name
+ */
+
+/**
+ * Normalize a team name for comparison
+ * @param {string} name - Team name
+ * @returns {string} - Lowercased name without spaces or punctuation
+ */
+function normalizeTeamName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Check if two team names refer to the same team
+ * @param {string} a - First team name
+ * @param {string} b - Second team name
+ * @returns {boolean} - True if the normalized names are equal
+ */
+function isSameTeam(a, b) {
+  const normalizedA = normalizeTeamName(a);
+  return normalizedA !== '' && normalizedA === normalizeTeamName(b);
+}
+
+/**
+ * Check if a query is built from prefixes of consecutive words of a name,
+ * starting with the first word (e.g. "navi" -> "NAtus VIncere")
+ * @param {string} query - Normalized query
+ * @param {Array} words - Normalized words of the name
+ * @returns {boolean} - True if the query abbreviates the name
+ */
+function isWordPrefixAbbreviation(query, words) {
+  if (query === '') return true;
+  if (words.length === 0) return false;
+
+  const [word, ...rest] = words;
+  for (let length = Math.min(word.length, query.length); length > 0; length--) {
+    if (query.startsWith(word.slice(0, length)) && isWordPrefixAbbreviation(query.slice(length), rest)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Calculate the Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of single character edits
+ */
+function levenshteinDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Score how well a query matches a team name
+ * @param {string} query - What the user typed
+ * @param {string} name - Team name
+ * @returns {number} - Score between 0 (no match) and 1 (exact match)
+ */
+function scoreTeamMatch(query, name) {
+  const normalizedQuery = normalizeTeamName(query);
+  const normalizedName = normalizeTeamName(name);
+  if (!normalizedQuery || !normalizedName) return 0;
+
+  if (normalizedQuery === normalizedName) return 1;
+  if (normalizedName.startsWith(normalizedQuery)) return 0.9;
+
+  const words = String(name).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  if (words.length > 1 && isWordPrefixAbbreviation(normalizedQuery, words)) return 0.85;
+  if (normalizedName.includes(normalizedQuery)) return 0.8;
+
+  // Typos, e.g. "vitalty" -> "Vitality"
+  const distance = levenshteinDistance(normalizedQuery, normalizedName);
+  const similarity = 1 - distance / Math.max(normalizedQuery.length, normalizedName.length);
+  return similarity >= 0.6 ? similarity * 0.75 : 0;
+}
+
+/**
+ * Find the team that best matches a query
+ * @param {string} query - What the user typed
+ * @param {Array} teams - Candidate teams with a name property
+ * @returns {Object|null} - Best matching team or null if nothing matches well enough
+ */
+function resolveTeam(query, teams) {
+  let best = null;
+  let bestScore = 0;
+
+  for (const team of teams) {
+    const score = scoreTeamMatch(query, team.name);
+    if (score > bestScore) {
+      best = team;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+module.exports = {
+  normalizeTeamName,
+  isSameTeam,
+  scoreTeamMatch,
+  resolveTeam
+};
@@ -1,5 +1,9 @@
 // test-antibot.js
 // Test the anti-bot detection avoidance system
+//
+// Runs against httpbin.org and HLTV.org. To run it offline, record the
+// responses once with HLTV_TRANSPORT=record, then replay them with
+// HLTV_TRANSPORT=replay (see README.md).
 
 const scraper = require('./scraper');
 
@@ -58,6 +62,12 @@ async function testSessionRotation() {
 async function testRateLimiting() {
   console.log('\n=== Testing Rate Limiting ===');
   
+  // Replayed responses skip the rate limiter
+  if (scraper.isReplaying()) {
+    console.log('Skipped: responses are replayed from recordings');
+    return;
+  }
+  
   const startTime = Date.now();
   
   // Make several requests in quick succession
@@ -170,6 +180,7 @@ async function testNewsFetching() {
 async function runAllTests() {
   console.log('=== TESTING ANTI-BOT DETECTION SYSTEM ===');
   console.log('Starting tests at:', new Date().toLocaleString());
+  console.log('HTTP transport mode:', scraper.transport.mode);
   
   try {
     // Test session functionality
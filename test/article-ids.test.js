@@ -0,0 +1,83 @@
+/**
+ * Article identity tests
+ *
+ * A false match drops a real article, so the near-miss cases matter as much
+ * as the duplicates.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeTitle, getNewsId, getArticleId, titleSimilarity, isSameArticle } = require('../article-ids');
+
+describe('getNewsId', () => {
+  it('reads the news ID of HLTV article URLs', () => {
+    assert.equal(getNewsId('https://www.hltv.org/news/41234/vitality-win-cologne'), '41234');
+    assert.equal(getNewsId('https://www.hltv.org/news/41234/vitality-win-cologne?ref=rss'), '41234');
+    assert.equal(getNewsId('https://hltv.org/news/41234'), '41234');
+  });
+
+  it('ignores other links', () => {
+    assert.equal(getNewsId('https://www.hltv.org/news/archive/2025/october'), null);
+    assert.equal(getNewsId('https://www.hltv.org/events'), null);
+    assert.equal(getNewsId('https://www.counter-strike.net/news/41234'), null);
+    assert.equal(getNewsId(undefined), null);
+  });
+});
+
+describe('getArticleId', () => {
+  it('prefers the news ID and falls back to the normalized title', () => {
+    assert.equal(getArticleId({ url: 'https://www.hltv.org/news/41234/x', title: 'Anything' }), 'hltv:41234');
+    assert.equal(getArticleId({ url: 'https://www.hltv.org/events', title: 'CS2 Tournament Schedule!' }), 'title:cs2 tournament schedule');
+  });
+
+  it('normalizes accents, case and punctuation', () => {
+    assert.equal(normalizeTitle('  Éclair\'s  NAVI—win! '), 'eclair s navi win');
+  });
+});
+
+describe('isSameArticle', () => {
+  it('matches the same news ID with different slugs and query strings', () => {
+    assert.equal(isSameArticle(
+      { url: 'https://www.hltv.org/news/41234/vitality-win-cologne', title: 'Vitality win Cologne' },
+      { url: 'https://www.hltv.org/news/41234/vitality-lift-the-trophy?ref=rss', title: 'Vitality lift the trophy' }
+    ), true);
+  });
+
+  it('matches posted article records by their stored ID', () => {
+    assert.equal(isSameArticle(
+      { articleId: 'hltv:41234', title: 'Vitality win Cologne' },
+      { url: 'https://www.hltv.org/news/41234/vitality-win-cologne', title: 'Vitality win Cologne' }
+    ), true);
+  });
+
+  it('matches near-duplicate titles of articles without a news ID', () => {
+    assert.equal(isSameArticle(
+      { url: 'https://www.hltv.org/events', title: 'Vitality win IEM Cologne' },
+      { url: 'https://www.hltv.org/', title: 'Vitality win IEM Cologne!' }
+    ), true);
+    assert.equal(isSameArticle(
+      { url: 'https://www.hltv.org/news/41234/vitality-win-cologne', title: 'Vitality win IEM Cologne' },
+      { url: 'https://www.hltv.org/matches', title: 'Vitality win IEM Cologne title' }
+    ), true);
+  });
+
+  it('keeps HLTV articles with different news IDs apart, however similar their titles', () => {
+    assert.equal(isSameArticle(
+      { url: 'https://www.hltv.org/news/41234/navi-vs-vitality-preview', title: 'NAVI vs Vitality preview' },
+      { url: 'https://www.hltv.org/news/41240/navi-vs-vitality-preview', title: 'NAVI vs Vitality preview' }
+    ), false);
+  });
+
+  it('keeps articles with similar but different titles apart', () => {
+    const a = { url: 'https://www.hltv.org/events', title: 'Vitality win IEM Cologne' };
+    const b = { url: 'https://www.hltv.org/matches', title: 'Vitality lose IEM Cologne final' };
+
+    assert.ok(titleSimilarity(a.title, b.title) < 0.8);
+    assert.equal(isSameArticle(a, b), false);
+  });
+
+  it('never matches empty titles', () => {
+    assert.equal(titleSimilarity('', 'Vitality win'), 0);
+    assert.equal(isSameArticle({ url: 'https://www.hltv.org/', title: '' }, { url: 'https://www.hltv.org/events', title: '!!' }), false);
+  });
+});
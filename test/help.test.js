@@ -0,0 +1,48 @@
+/**
+ * Help message tests
+ *
+ * Discord rejects embeds with more than 25 fields or fields longer than
+ * 1024 characters, and discord.js throws while building them.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildHelpEmbed } = require('../help');
+const { slashCommands } = require('../slash-commands');
+
+const config = {
+  embedColor: '#0099ff',
+  commands: {
+    checkNews: '!csnews',
+    matches: '!csmatches',
+    teams: '!csteams'
+  }
+};
+
+describe('help embed', () => {
+  it('builds within the Discord embed limits', () => {
+    const embed = buildHelpEmbed(config).toJSON();
+
+    assert.ok(embed.fields.length <= 25, `${embed.fields.length} fields`);
+    for (const field of embed.fields) {
+      assert.ok(field.value.length <= 1024, `field "${field.name}" has ${field.value.length} characters`);
+    }
+    assert.ok(JSON.stringify(embed).length <= 6000);
+  });
+
+  it('lists the prefix version of every slash command', () => {
+    const embed = buildHelpEmbed(config).toJSON();
+    const text = [embed.description, ...embed.fields.map(field => field.value)].join('\n');
+
+    for (const command of slashCommands) {
+      const { name } = command.toJSON();
+      assert.match(text, new RegExp(`\`!${name}[\` ]`), `!${name} is missing from the help`);
+    }
+  });
+
+  it('uses the configured command names', () => {
+    const embed = buildHelpEmbed({ ...config, commands: { ...config.commands, checkNews: '!news' } }).toJSON();
+
+    assert.match(embed.fields[0].value, /`!news` - Get the latest CS news/);
+  });
+});
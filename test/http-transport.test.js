@@ -0,0 +1,136 @@
+/**
+ * HTTP transport tests
+ *
+ * Record mode is tested with a fake fetch function, replay mode with the
+ * recorded HLTV pages in test/recordings. Nothing goes to the network.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HttpTransport = require('../http-transport');
+
+const RECORDINGS_DIR = path.join(__dirname, 'recordings');
+
+describe('HttpTransport', () => {
+  let tempDir;
+
+  before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hltv-recordings-'));
+  });
+
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('rejects unknown modes', () => {
+    assert.throws(() => new HttpTransport({ mode: 'offline', recordingsDir: tempDir }), /Unknown transport mode/);
+    assert.throws(() => new HttpTransport({ mode: 'replay' }), /needs a recordings directory/);
+  });
+
+  it('passes live requests through without recording them', async () => {
+    const calls = [];
+    const transport = new HttpTransport({
+      recordingsDir: tempDir,
+      fetch: async (url, config) => {
+        calls.push([url, config]);
+        return { status: 200, headers: {}, data: 'live' };
+      }
+    });
+
+    const response = await transport.get('https://www.hltv.org/live', { timeout: 1000 });
+
+    assert.equal(response.data, 'live');
+    assert.deepEqual(calls, [['https://www.hltv.org/live', { timeout: 1000 }]]);
+    assert.equal(fs.existsSync(transport.getRecordingPath('https://www.hltv.org/live')), false);
+  });
+
+  it('replays recorded responses', async () => {
+    const url = 'https://www.hltv.org/news/40001/vitality-win-the-major';
+    const recorder = new HttpTransport({
+      mode: 'record',
+      recordingsDir: tempDir,
+      fetch: async () => ({ status: 200, statusText: 'OK', headers: { 'content-type': 'text/html' }, data: '<h1>Major</h1>' })
+    });
+    await recorder.get(url);
+
+    const player = new HttpTransport({
+      mode: 'replay',
+      recordingsDir: tempDir,
+      fetch: async () => assert.fail('replay mode made a network request')
+    });
+    const response = await player.get(url);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers['content-type'], 'text/html');
+    assert.equal(response.data, '<h1>Major</h1>');
+  });
+
+  it('replays recorded error statuses as errors', async () => {
+    const url = 'https://www.hltv.org/ranking/teams';
+    const recorder = new HttpTransport({
+      mode: 'record',
+      recordingsDir: tempDir,
+      fetch: async () => {
+        const error = new Error('Request failed with status code 403');
+        error.response = { status: 403, headers: {}, data: 'Forbidden' };
+        throw error;
+      }
+    });
+    await assert.rejects(recorder.get(url), /status code 403/);
+
+    const player = new HttpTransport({ mode: 'replay', recordingsDir: tempDir });
+    await assert.rejects(player.get(url), error => {
+      assert.equal(error.response.status, 403);
+      assert.equal(error.response.data, 'Forbidden');
+      return true;
+    });
+  });
+
+  it('fails replays of URLs that were never recorded', async () => {
+    const player = new HttpTransport({ mode: 'replay', recordingsDir: tempDir });
+    await assert.rejects(player.get('https://www.hltv.org/unknown'), { code: 'ERR_NO_RECORDING' });
+  });
+
+  it('keys recordings by the full URL', () => {
+    const transport = new HttpTransport({ mode: 'replay', recordingsDir: tempDir });
+    const first = transport.getRecordingPath('https://www.hltv.org/search?term=vitality');
+    const second = transport.getRecordingPath('https://www.hltv.org/search?term=navi');
+
+    assert.notEqual(first, second);
+    assert.match(path.basename(first), /^www-hltv-org-search-[0-9a-f]{10}\.json$/);
+  });
+});
+
+describe('scraper with replayed responses', () => {
+  const scraper = require('../scraper');
+  let previousTransport;
+
+  before(() => {
+    previousTransport = scraper.transport;
+    scraper.setTransport(new HttpTransport({ mode: 'replay', recordingsDir: RECORDINGS_DIR }));
+  });
+
+  after(() => {
+    scraper.setTransport(previousTransport);
+  });
+
+  it('gets live matches from a recorded matches page', async () => {
+    const matches = await scraper.getLiveMatches();
+
+    assert.equal(matches.length, 1);
+    assert.equal(matches[0].team1, 'Spirit');
+    assert.equal(matches[0].team2, 'FaZe');
+  });
+
+  it('gets the status of a match from a recorded match page', async () => {
+    const url = 'https://www.hltv.org/matches/2372000/vitality-vs-faze-iem';
+    const match = await scraper.getMatchStatus(url);
+
+    assert.equal(match.matchUrl, url);
+    assert.equal(match.status, 'live');
+    assert.deepEqual(match.maps, [{ name: 'Mirage', team1Score: 13, team2Score: 7 }]);
+  });
+});
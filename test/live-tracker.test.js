@@ -0,0 +1,174 @@
+/**
+ * Live match tracker tests
+ *
+ * fetchStatus and updateMessage are stubbed, so polls run without Discord
+ * or HLTV.org.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LiveMatchTracker = require('../live-tracker');
+
+const MATCHES = [
+  { matchId: '1', matchUrl: 'https://www.hltv.org/matches/1/a-vs-b', team1: 'A', team2: 'B' },
+  { matchId: '2', matchUrl: 'https://www.hltv.org/matches/2/c-vs-d', team1: 'C', team2: 'D' }
+];
+
+/**
+ * Build a Discord API error
+ * @param {number} code - Discord error code
+ * @returns {Error} - Error with the code set
+ */
+function discordError(code) {
+  const error = new Error(`Discord error ${code}`);
+  error.code = code;
+  return error;
+}
+
+describe('LiveMatchTracker.poll', () => {
+  let tempDir;
+  let filePath;
+  let tracker;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'live-tracker-'));
+    filePath = path.join(tempDir, 'live_matches.json');
+  });
+
+  afterEach(() => {
+    if (tracker) tracker.stop();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Create a tracker following both matches in one channel
+   * @param {Object} options - Tracker options with the stubbed callbacks
+   * @returns {LiveMatchTracker} - Tracker with its poll timer stopped
+   */
+  function createTracker(options) {
+    tracker = new LiveMatchTracker(filePath, options);
+    for (const match of MATCHES) {
+      tracker.track(match, 'channel', `message-${match.matchId}`);
+    }
+    tracker.stop();
+    return tracker;
+  }
+
+  it('edits the message only when the score changed', async () => {
+    let score = 1;
+    const updates = [];
+    createTracker({
+      fetchStatus: async () => ({ status: 'live', team1MapsWon: score, team2MapsWon: 0, maps: [] }),
+      updateMessage: async (entry, status) => {
+        updates.push([entry.messageId, status.team1MapsWon]);
+        return true;
+      }
+    });
+
+    await tracker.poll();
+    await tracker.poll();
+    score = 2;
+    await tracker.poll();
+
+    assert.deepEqual(updates, [
+      ['message-1', 1], ['message-2', 1],
+      ['message-1', 2], ['message-2', 2]
+    ]);
+  });
+
+  it('keeps updating the other matches when one message fails', async () => {
+    const updated = [];
+    createTracker({
+      fetchStatus: async () => ({ status: 'live', team1MapsWon: 1, team2MapsWon: 0, maps: [] }),
+      updateMessage: async entry => {
+        if (entry.messageId === 'message-1') throw new Error('Service unavailable');
+        updated.push(entry.messageId);
+        return true;
+      }
+    });
+
+    await tracker.poll();
+
+    assert.deepEqual(updated, ['message-2']);
+    assert.equal(tracker.count(), 2);
+    assert.notEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).tracked['channel:2'].signature, null);
+  });
+
+  it('retries a failed edit on the next poll', async () => {
+    let fail = true;
+    const updated = [];
+    createTracker({
+      fetchStatus: async () => ({ status: 'live', team1MapsWon: 1, team2MapsWon: 0, maps: [] }),
+      updateMessage: async entry => {
+        if (entry.messageId === 'message-1' && fail) throw new Error('Service unavailable');
+        updated.push(entry.messageId);
+        return true;
+      }
+    });
+
+    await tracker.poll();
+    fail = false;
+    await tracker.poll();
+
+    assert.deepEqual(updated, ['message-2', 'message-1']);
+  });
+
+  it('stops tracking a message after repeated permission errors', async () => {
+    createTracker({
+      fetchStatus: async () => ({ status: 'live', team1MapsWon: 1, team2MapsWon: 0, maps: [] }),
+      updateMessage: async entry => {
+        if (entry.messageId === 'message-1') throw discordError(50013);
+        return true;
+      },
+      maxPermissionErrors: 3
+    });
+
+    await tracker.poll();
+    await tracker.poll();
+    assert.ok(tracker.getTracked(MATCHES[0], 'channel'));
+
+    await tracker.poll();
+    assert.equal(tracker.getTracked(MATCHES[0], 'channel'), null);
+    assert.ok(tracker.getTracked(MATCHES[1], 'channel'));
+  });
+
+  it('stops tracking deleted messages and finished matches', async () => {
+    const finished = [];
+    createTracker({
+      fetchStatus: async url => ({ status: url.includes('/2/') ? 'over' : 'live', team1MapsWon: 1, team2MapsWon: 0, maps: [] }),
+      updateMessage: async entry => entry.messageId !== 'message-1',
+      finishMessage: async entry => {
+        finished.push(entry.messageId);
+        throw new Error('Could not unpin');
+      }
+    });
+
+    await tracker.poll();
+
+    assert.equal(tracker.count(), 0);
+    assert.deepEqual(finished, ['message-2']);
+    assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).tracked, {});
+  });
+
+  it('skips matches whose state cannot be fetched', async () => {
+    const updated = [];
+    createTracker({
+      fetchStatus: async url => {
+        if (url.includes('/1/')) throw new Error('timeout');
+        return { status: 'live', team1MapsWon: 0, team2MapsWon: 0, maps: [] };
+      },
+      updateMessage: async entry => {
+        updated.push(entry.messageId);
+        return true;
+      }
+    });
+
+    await tracker.poll();
+
+    assert.deepEqual(updated, ['message-2']);
+    assert.equal(tracker.count(), 2);
+  });
+});
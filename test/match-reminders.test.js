@@ -0,0 +1,180 @@
+/**
+ * Match reminder scheduler tests
+ *
+ * The clock is injected, so each test steps through the ticks a running bot
+ * would make. Restarts are simulated by loading a new scheduler from the
+ * same file.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MatchReminderScheduler = require('../match-reminders');
+
+const MINUTE = 60 * 1000;
+const START = Date.parse('2025-10-10T12:40:00.000Z');
+const FIRE_AT = START - 15 * MINUTE;
+
+const MATCH = {
+  matchId: '2380001',
+  team1: 'Vitality',
+  team2: 'Natus Vincere',
+  matchMeta: 'bo3',
+  startTime: new Date(START).toISOString(),
+  matchUrl: 'https://www.hltv.org/matches/2380001/vitality-vs-natus-vincere-iem-chengdu'
+};
+
+describe('MatchReminderScheduler', () => {
+  let tempDir;
+  let filePath;
+  let clock;
+  let sent;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'match-reminders-'));
+    filePath = path.join(tempDir, 'match_reminders.json');
+    clock = START - 60 * MINUTE;
+    sent = [];
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Load a scheduler from the test file, as the bot does on startup
+   * @param {Function} sendReminder - Optional replacement for the recording sender
+   * @returns {MatchReminderScheduler} - Scheduler using the test clock
+   */
+  function createScheduler(sendReminder) {
+    return new MatchReminderScheduler(filePath, {
+      now: () => clock,
+      sendReminder: sendReminder || (async (follow, reminder) => {
+        sent.push([follow.targetId, reminder.matchKey, clock]);
+      })
+    });
+  }
+
+  /**
+   * Create a scheduler with a follow of Vitality and the match scheduled
+   * @returns {MatchReminderScheduler} - Scheduler with one pending reminder
+   */
+  function createFollowingScheduler() {
+    const scheduler = createScheduler();
+    scheduler.follow({ team: 'Vitality', targetType: 'user', targetId: 'user', minutesBefore: 15 });
+    assert.equal(scheduler.syncMatches([MATCH]), 1);
+    return scheduler;
+  }
+
+  it('sends a reminder on the first tick after it is due', async () => {
+    const scheduler = createFollowingScheduler();
+
+    clock = FIRE_AT - 1;
+    await scheduler.tick();
+    assert.deepEqual(sent, []);
+
+    // The next 60 s tick lands inside the reminder window
+    clock += MINUTE;
+    await scheduler.tick();
+    assert.deepEqual(sent, [['user', '2380001', FIRE_AT + 59999]]);
+  });
+
+  it('sends each reminder once', async () => {
+    const scheduler = createFollowingScheduler();
+
+    clock = FIRE_AT;
+    await scheduler.tick();
+    clock += MINUTE;
+    await scheduler.tick();
+    assert.equal(scheduler.syncMatches([MATCH]), 0);
+    await scheduler.tick();
+
+    assert.equal(sent.length, 1);
+    assert.deepEqual(scheduler.getPendingReminders(), []);
+  });
+
+  it('does not retry a reminder whose delivery failed', async () => {
+    let attempts = 0;
+    const scheduler = createScheduler(async () => {
+      attempts++;
+      throw new Error('Cannot send messages to this user');
+    });
+    scheduler.follow({ team: 'Vitality', targetType: 'user', targetId: 'user', minutesBefore: 15 });
+    scheduler.syncMatches([MATCH]);
+
+    clock = FIRE_AT;
+    await scheduler.tick();
+    clock += MINUTE;
+    await scheduler.tick();
+
+    assert.equal(attempts, 1);
+  });
+
+  it('does not send a reminder again after a restart', async () => {
+    const scheduler = createFollowingScheduler();
+    clock = FIRE_AT;
+    await scheduler.tick();
+
+    clock += MINUTE;
+    const restarted = createScheduler();
+    assert.equal(restarted.syncMatches([MATCH]), 0);
+    await restarted.tick();
+
+    assert.equal(sent.length, 1);
+  });
+
+  it('keeps pending reminders across a restart', async () => {
+    createFollowingScheduler();
+
+    const restarted = createScheduler();
+    assert.equal(restarted.getPendingReminders().length, 1);
+
+    clock = FIRE_AT;
+    await restarted.tick();
+    assert.equal(sent.length, 1);
+  });
+
+  it('sends reminders that became due while the bot was offline', async () => {
+    createFollowingScheduler();
+
+    clock = START - 5 * MINUTE;
+    await createScheduler().tick();
+
+    assert.deepEqual(sent, [['user', '2380001', START - 5 * MINUTE]]);
+  });
+
+  it('skips reminders of matches that started while the bot was offline', async () => {
+    createFollowingScheduler();
+
+    clock = START + MINUTE;
+    const restarted = createScheduler();
+    await restarted.tick();
+
+    assert.deepEqual(sent, []);
+    assert.deepEqual(restarted.getPendingReminders(), []);
+  });
+
+  it('moves a pending reminder when the match start time changes', async () => {
+    const scheduler = createFollowingScheduler();
+    const delayed = { ...MATCH, startTime: new Date(START + 30 * MINUTE).toISOString() };
+
+    assert.equal(scheduler.syncMatches([delayed]), 1);
+    clock = FIRE_AT;
+    await scheduler.tick();
+    assert.deepEqual(sent, []);
+
+    clock = FIRE_AT + 30 * MINUTE;
+    await scheduler.tick();
+    assert.equal(sent.length, 1);
+  });
+
+  it('ignores matches that already started', () => {
+    const scheduler = createScheduler();
+    scheduler.follow({ team: 'Vitality', targetType: 'user', targetId: 'user', minutesBefore: 15 });
+
+    clock = START;
+    assert.equal(scheduler.syncMatches([MATCH]), 0);
+  });
+});
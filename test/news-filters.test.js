@@ -0,0 +1,65 @@
+/**
+ * News filter tests
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEmptyFilters, normalizeFilterTerm, articleMatchesFilters } = require('../news-filters');
+
+/**
+ * Build filters the way they are stored by !csfilter add
+ * @param {Array} include - Include terms
+ * @param {Array} exclude - Exclude terms
+ * @returns {Object} - Filter set
+ */
+function filters(include = [], exclude = []) {
+  return { include: include.map(normalizeFilterTerm), exclude: exclude.map(normalizeFilterTerm) };
+}
+
+const naviArticle = { title: 'NAVI sign b1t to a new contract', description: 'The Ukrainian side keeps its rifler' };
+const rumourArticle = { title: 'Rumour: NAVI in talks with s1mple', description: null };
+const vitalityArticle = { title: 'Vitality win IEM Cologne', description: 'ZywOo named MVP' };
+
+describe('normalizeFilterTerm', () => {
+  it('trims, lowercases and collapses whitespace', () => {
+    assert.equal(normalizeFilterTerm('  Natus   Vincere '), 'natus vincere');
+    assert.equal(normalizeFilterTerm(undefined), '');
+  });
+});
+
+describe('articleMatchesFilters', () => {
+  it('passes every article without filters', () => {
+    assert.equal(articleMatchesFilters(naviArticle, null), true);
+    assert.equal(articleMatchesFilters(naviArticle, createEmptyFilters()), true);
+  });
+
+  it('matches terms case-insensitively', () => {
+    assert.equal(articleMatchesFilters(naviArticle, filters(['navi'])), true);
+    assert.equal(articleMatchesFilters(vitalityArticle, filters(['ZYWOO'])), true);
+    assert.equal(articleMatchesFilters(naviArticle, { include: ['NAVI'], exclude: [] }), true);
+  });
+
+  it('matches terms in the description as well as the title', () => {
+    assert.equal(articleMatchesFilters(naviArticle, filters(['rifler'])), true);
+  });
+
+  it('matches whole words only', () => {
+    assert.equal(articleMatchesFilters(naviArticle, filters(['nav'])), false);
+    assert.equal(articleMatchesFilters(rumourArticle, filters(['s1mple'])), true);
+  });
+
+  it('only passes articles matching one of the include terms', () => {
+    assert.equal(articleMatchesFilters(naviArticle, filters(['vitality', 'navi'])), true);
+    assert.equal(articleMatchesFilters(vitalityArticle, filters(['navi', 'g2'])), false);
+  });
+
+  it('skips articles matching an exclude term', () => {
+    assert.equal(articleMatchesFilters(rumourArticle, filters([], ['rumour'])), false);
+    assert.equal(articleMatchesFilters(naviArticle, filters([], ['rumour'])), true);
+  });
+
+  it('lets exclude terms win when include and exclude both match', () => {
+    assert.equal(articleMatchesFilters(rumourArticle, filters(['navi'], ['rumour'])), false);
+    assert.equal(articleMatchesFilters(naviArticle, filters(['navi'], ['rumour'])), true);
+  });
+});
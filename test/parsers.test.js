@@ -0,0 +1,277 @@
+/**
+ * Parser tests
+ *
+ * Every parser runs against a saved page in test/fixtures, so the suite
+ * needs no network access. When HLTV changes a page, save the new HTML as
+ * a fixture and update the expected values here.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const parsers = require('../parsers');
+const { LayoutChangedError } = require('../layout-check');
+const { pages: DEFAULT_SELECTORS } = require('../selectors.json');
+
+/**
+ * Read a saved page
+ * @param {string} name - File name in test/fixtures
+ * @returns {string} - Page contents
+ */
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+describe('helpers', () => {
+  it('parses unix timestamps and dates', () => {
+    assert.equal(parsers.parseTimestamp('1760100000000'), '2025-10-10T12:40:00.000Z');
+    assert.equal(parsers.parseTimestamp('Mon, 13 Oct 2025 10:00:00 GMT'), '2025-10-13T10:00:00.000Z');
+    assert.equal(parsers.parseTimestamp(''), null);
+  });
+
+  it('parses team links', () => {
+    assert.deepEqual(parsers.parseTeamLink('/team/9565/vitality'), {
+      teamId: '9565',
+      teamUrl: 'https://www.hltv.org/team/9565/vitality'
+    });
+  });
+
+  it('names map codes', () => {
+    assert.equal(parsers.getMapName('mrg'), 'Mirage');
+  });
+});
+
+describe('news', () => {
+  it('parses standard and featured homepage articles', () => {
+    const articles = parsers.parseHomepage(fixture('homepage.html'));
+
+    assert.deepEqual(articles.map(article => article.type), ['standard', 'standard', 'featured']);
+    assert.deepEqual(articles[0], {
+      title: 'NAVI bench player',
+      url: 'https://www.hltv.org/news/40002/navi-bench-player',
+      publishedAt: '2025-10-09T08:55:00.000Z',
+      type: 'standard'
+    });
+    assert.equal(articles[1].publishedAt, null);
+    assert.equal(articles[2].title, 'Vitality win the Major');
+    assert.equal(articles[2].image, 'https://img-cdn.hltv.org/gallery/major-final.png');
+  });
+
+  it('parses the RSS feed', () => {
+    const articles = parsers.parseRss(fixture('rss.xml'));
+
+    assert.equal(articles.length, 2);
+    assert.equal(articles[0].url, 'https://www.hltv.org/news/40010/vitality-win-the-major');
+    assert.equal(articles[0].publishedAt, '2025-10-13T10:00:00.000Z');
+    assert.equal(articles[1].title, 'G2 & MOUZ qualify for playoffs');
+  });
+
+  it('parses the news sitemap', () => {
+    const articles = parsers.parseSitemap(fixture('sitemap.xml'));
+
+    assert.deepEqual(articles.map(article => [article.title, article.publishedAt]), [
+      ['Big news today', '2025-10-13T00:00:00.000Z'],
+      ['Other story', '2025-10-14T10:00:00.000Z']
+    ]);
+  });
+
+  it('parses an article', () => {
+    const article = parsers.parseArticle(fixture('article.html'));
+
+    assert.equal(article.title, 'Vitality win the Major');
+    assert.equal(article.author, 'Striker');
+    assert.equal(article.publishedAt, '2025-10-19T10:00:00.000Z');
+    assert.equal(article.image, 'https://img-cdn.hltv.org/x.png');
+    assert.match(article.text, /ZywOo was the MVP/);
+  });
+});
+
+describe('matches', () => {
+  it('parses upcoming matches', () => {
+    const matches = parsers.parseUpcomingMatches(fixture('matches.html'));
+
+    assert.equal(matches.length, 2);
+    assert.deepEqual(matches[0], {
+      matchId: '2380001',
+      team1: 'Vitality',
+      team2: 'Natus Vincere',
+      matchTime: '12:40',
+      startTime: '2025-10-10T12:40:00.000Z',
+      matchMeta: 'bo3',
+      matchUrl: 'https://www.hltv.org/matches/2380001/vitality-vs-natus-vincere-iem-chengdu'
+    });
+    assert.equal(matches[1].matchId, '2380002');
+  });
+
+  it('parses live matches', () => {
+    const matches = parsers.parseLiveMatches(fixture('matches.html'));
+
+    assert.equal(matches.length, 1);
+    assert.equal(matches[0].matchId, '2380000');
+    assert.equal(matches[0].event, 'IEM Chengdu 2025');
+    assert.deepEqual(
+      [matches[0].team1MapsWon, matches[0].team2MapsWon, matches[0].team1CurrentScore, matches[0].team2CurrentScore],
+      [1, 0, 9, 7]
+    );
+  });
+
+  it('parses results without the big results duplicates', () => {
+    const results = parsers.parseResults(fixture('results.html'));
+
+    assert.equal(results.length, 3);
+    assert.equal(results[0].winner, 'Vitality');
+    assert.equal(results[0].format, 'bo3');
+    assert.equal(results[0].forfeit, false);
+    assert.deepEqual(results[1].maps, [{ name: 'Mirage', team1Score: 11, team2Score: 13 }]);
+    assert.equal(results[1].winner, 'G2');
+    assert.equal(results[1].playedAt, '2024-05-21T14:00:00.000Z');
+  });
+
+  it('parses forfeits without a map', () => {
+    const forfeit = parsers.parseResults(fixture('results.html'))[2];
+
+    assert.equal(forfeit.forfeit, true);
+    assert.equal(forfeit.winner, 'MOUZ');
+    assert.equal(forfeit.format, null);
+    assert.deepEqual(forfeit.maps, []);
+  });
+
+  it('parses a match page', () => {
+    const match = parsers.parseMatch(fixture('match.html'));
+
+    assert.equal(match.status, 'live');
+    assert.equal(match.team1MapsWon, 1);
+    assert.deepEqual(match.maps, [{ name: 'Mirage', team1Score: 13, team2Score: 7 }]);
+  });
+});
+
+describe('teams and players', () => {
+  it('parses the rankings', () => {
+    const teams = parsers.parseRankings(fixture('rankings.html'));
+
+    assert.equal(teams.length, 7);
+    assert.deepEqual(teams[0], {
+      rank: '#1',
+      name: 'Vitality',
+      points: '(950 points)',
+      teamId: '9566',
+      teamUrl: 'https://www.hltv.org/team/9566/vitality'
+    });
+  });
+
+  it('parses a team profile', () => {
+    const team = parsers.parseTeamProfile(fixture('team.html'));
+
+    assert.equal(team.name, 'Vitality');
+    assert.equal(team.worldRanking, '#1');
+    assert.equal(team.coach, 'XTQZZZ');
+    assert.deepEqual(team.roster, ['apEX', 'ZywOo', 'mezii']);
+    assert.equal(team.recentResults.length, 1);
+    assert.equal(team.recentResults[0].team2Score, 0);
+    assert.equal(team.upcomingMatches[0].team2, 'Spirit');
+  });
+
+  it('parses a player profile', () => {
+    const player = parsers.parsePlayerProfile(fixture('player.html'));
+
+    assert.equal(player.nickname, 'ZywOo');
+    assert.equal(player.realName, 'Mathieu Herbaut');
+    assert.equal(player.teamUrl, 'https://www.hltv.org/team/9565/vitality');
+    assert.deepEqual(player.teamHistory[0], { team: 'Vitality', period: 'October 2019 - Present' });
+  });
+
+  it('parses player stats', () => {
+    assert.deepEqual(parsers.parsePlayerStats(fixture('player-stats.html')), {
+      rating: '1.32',
+      mapsPlayed: '54',
+      kdRatio: '1.41',
+      adr: '88.4',
+      kast: '76.1%'
+    });
+  });
+
+  it('parses transfers', () => {
+    const transfers = parsers.parseTransfers(fixture('transfers.html'));
+
+    assert.equal(transfers.length, 2);
+    assert.equal(transfers[0].transferId, 'zywoo|vitality|g2|2025-10-18');
+    assert.equal(transfers[1].fromTeam, null);
+    assert.equal(transfers[1].toTeam, 'Natus Vincere');
+  });
+});
+
+describe('events', () => {
+  it('parses and orders events', () => {
+    const events = parsers.parseEvents(fixture('events.html'), { now: Date.parse('2025-10-20T00:00:00Z') });
+
+    assert.deepEqual(events.map(event => [event.eventId, event.status]), [
+      ['8001', 'ongoing'],
+      ['8000', 'ongoing'],
+      ['8200', 'upcoming'],
+      ['8100', 'upcoming']
+    ]);
+    assert.equal(events[0].teamCount, 16);
+    assert.equal(events[2].tier, 'Online');
+    assert.equal(events[3].tier, 'Major');
+    assert.equal(events[3].featured, true);
+    assert.equal(events[3].location, 'Budapest, Hungary');
+  });
+
+  it('parses event groups and bracket', () => {
+    const event = parsers.parseEvent(fixture('event.html'));
+
+    assert.equal(event.name, 'CS Major Budapest 2025');
+    assert.deepEqual(event.groups.map(group => group.name), ['Group A', 'Swiss Stage']);
+    assert.deepEqual(event.groups[0].teams[0], { place: 1, name: 'Vitality', wins: 3, losses: 0 });
+    assert.equal(event.bracket[0].round, 'Quarter-finals');
+    assert.deepEqual(event.bracket[0].matches[1], {
+      team1: 'MOUZ',
+      team2: 'TBD',
+      team1Score: null,
+      team2Score: null,
+      matchUrl: null
+    });
+  });
+});
+
+describe('layout changes', () => {
+  it('throws LayoutChangedError when the selectors no longer match', () => {
+    assert.throws(() => parsers.parseUpcomingMatches(fixture('matches-changed.html')), error => {
+      assert.ok(error instanceof LayoutChangedError);
+      assert.equal(error.parser, 'matches');
+      assert.equal(error.selector, '.upcomingMatchesContainer .upcomingMatch');
+      assert.match(error.problems[0], /matched 0 items/);
+      return true;
+    });
+  });
+
+  it('parses the new layout with overridden selectors', () => {
+    const selectors = {
+      ...DEFAULT_SELECTORS,
+      matches: {
+        items: ['.matches-list .match-wrapper'],
+        fields: {
+          ...DEFAULT_SELECTORS.matches.fields,
+          team1: ['.match-team1 .match-teamname'],
+          team2: ['.match-team2 .match-teamname'],
+          matchTime: ['.match-time'],
+          unixTime: [{ selector: '.match-time', attribute: 'data-unix' }],
+          matchMeta: ['.match-meta'],
+          matchPath: [{ selector: 'a.match-link', attribute: 'href' }]
+        }
+      }
+    };
+
+    const matches = parsers.parseUpcomingMatches(fixture('matches-changed.html'), { selectors });
+
+    assert.equal(matches.length, 1);
+    assert.equal(matches[0].matchId, '2380001');
+    assert.equal(matches[0].team2, 'Natus Vincere');
+    assert.equal(matches[0].startTime, '2025-10-10T12:40:00.000Z');
+  });
+
+  it('requires a full rankings page', () => {
+    assert.throws(() => parsers.parseRankings('<html><body></body></html>'), LayoutChangedError);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Ranking date tests
+ *
+ * HLTV rankings are published on Mondays, so the interesting cases are the
+ * weeks that span a month or year boundary.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getRankingMonday,
+  toDateKey,
+  toDateString,
+  getWeeklyDates,
+  resolveRankingDate
+} = require('../ranking-dates');
+
+/**
+ * Build a UTC date from an ISO string
+ * @param {string} iso - Date or date time, e.g. "2025-01-01" or "2024-03-31T23:30:00"
+ * @returns {Date} - Date in UTC
+ */
+function utc(iso) {
+  return new Date(iso.includes('T') ? `${iso}Z` : `${iso}T12:00:00Z`);
+}
+
+describe('getRankingMonday', () => {
+  it('keeps Mondays', () => {
+    assert.equal(getRankingMonday(utc('2025-01-06')), '2025-01-06');
+    assert.equal(getRankingMonday(utc('2024-04-01T00:00:00')), '2024-04-01');
+  });
+
+  it('goes back into the previous month from a Sunday at month end', () => {
+    assert.equal(getRankingMonday(utc('2024-03-31')), '2024-03-25');
+    assert.equal(getRankingMonday(utc('2024-03-31T23:59:59')), '2024-03-25');
+    assert.equal(getRankingMonday(utc('2024-03-03')), '2024-02-26');
+  });
+
+  it('goes back into the previous year in the first days of January', () => {
+    assert.equal(getRankingMonday(utc('2025-01-01')), '2024-12-30');
+    assert.equal(getRankingMonday(utc('2025-01-05')), '2024-12-30');
+    assert.equal(getRankingMonday(utc('2022-01-01')), '2021-12-27');
+  });
+
+  it('handles leap days', () => {
+    assert.equal(getRankingMonday(utc('2024-02-29')), '2024-02-26');
+  });
+});
+
+describe('ranking date strings', () => {
+  it('converts between ranking dates and date keys', () => {
+    assert.equal(toDateKey('2025/may/12'), '2025-05-12');
+    assert.equal(toDateKey('2024/February/29'), '2024-02-29');
+    assert.equal(toDateString('2025-05-05'), '2025/may/5');
+    assert.equal(toDateString('2024-12-30'), '2024/december/30');
+  });
+
+  it('rejects dates that do not exist', () => {
+    assert.equal(toDateKey('2023/february/29'), null);
+    assert.equal(toDateKey('2025/mai/12'), null);
+    assert.equal(toDateKey('2025-05-12'), null);
+  });
+});
+
+describe('getWeeklyDates', () => {
+  it('lists the weeks across a year boundary, oldest first', () => {
+    assert.deepEqual(getWeeklyDates('2025-01-06', 3), ['2024-12-23', '2024-12-30', '2025-01-06']);
+  });
+});
+
+describe('resolveRankingDate', () => {
+  const now = utc('2025-01-02');
+
+  it('resolves the current and relative rankings', () => {
+    assert.equal(resolveRankingDate('', now), '2024-12-30');
+    assert.equal(resolveRankingDate('latest', now), '2024-12-30');
+    assert.equal(resolveRankingDate('last week', now), '2024-12-23');
+    assert.equal(resolveRankingDate('5 weeks ago', now), '2024-11-25');
+  });
+
+  it('resolves a day to the ranking current on it', () => {
+    assert.equal(resolveRankingDate('2024-03-31', now), '2024-03-25');
+    assert.equal(resolveRankingDate('2024/march/31', now), '2024-03-25');
+    assert.equal(resolveRankingDate('2024-12-31', now), '2024-12-30');
+  });
+
+  it('resolves a month to its first Monday', () => {
+    assert.equal(resolveRankingDate('2024-09', now), '2024-09-02');
+    assert.equal(resolveRankingDate('2024-04', now), '2024-04-01');
+    assert.equal(resolveRankingDate('2024/december', now), '2024-12-02');
+  });
+
+  it('resolves the current month to the latest ranking before its first Monday', () => {
+    assert.equal(resolveRankingDate('2025-01', now), '2024-12-30');
+  });
+
+  it('rejects invalid and future dates', () => {
+    assert.equal(resolveRankingDate('2024-02-30', now), null);
+    assert.equal(resolveRankingDate('2025-01-10', now), null);
+    assert.equal(resolveRankingDate('2025-02', now), null);
+    assert.equal(resolveRankingDate('next week', now), null);
+  });
+});
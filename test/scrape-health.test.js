@@ -0,0 +1,93 @@
+/**
+ * Scrape health monitor tests
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ScrapeHealthMonitor = require('../scrape-health');
+
+describe('ScrapeHealthMonitor', () => {
+  let messages;
+  let monitor;
+
+  beforeEach(() => {
+    messages = [];
+    monitor = new ScrapeHealthMonitor({
+      failureThreshold: 3,
+      notify: async message => {
+        messages.push(message);
+      }
+    });
+  });
+
+  /**
+   * Record the same failure several times
+   * @param {string} method - Scraper method key
+   * @param {number} count - Number of failures
+   */
+  async function fail(method, count) {
+    for (let i = 0; i < count; i++) {
+      await monitor.recordFailure(method, new Error(`HTTP 403 (${i + 1})`));
+    }
+  }
+
+  it('stays silent below the threshold', async () => {
+    await fail('rss', 2);
+    await monitor.recordSuccess('rss');
+    await fail('rss', 2);
+
+    assert.deepEqual(messages, []);
+    assert.equal(monitor.getStatus().rss.consecutiveFailures, 2);
+  });
+
+  it('alerts once when the threshold is reached', async () => {
+    await fail('rss', 3);
+    assert.equal(messages.length, 1);
+    assert.match(messages[0], /RSS feed\*\* scraping failed 3 times in a row/);
+    assert.match(messages[0], /HTTP 403 \(3\)/);
+
+    await fail('rss', 5);
+    assert.equal(messages.length, 1);
+  });
+
+  it('sends one recovery message after the next success', async () => {
+    await fail('homepage', 4);
+    await monitor.recordSuccess('homepage');
+    await monitor.recordSuccess('homepage');
+
+    assert.equal(messages.length, 2);
+    assert.match(messages[1], /HLTV\.org homepage\*\* scraping recovered after 4 consecutive failures/);
+  });
+
+  it('alerts again when a recovered method fails again', async () => {
+    await fail('matches', 3);
+    await monitor.recordSuccess('matches');
+    await fail('matches', 3);
+
+    assert.equal(messages.length, 3);
+    assert.match(messages[2], /Upcoming matches\*\* scraping failed/);
+  });
+
+  it('tracks every method on its own', async () => {
+    await fail('rss', 2);
+    await fail('sitemap', 2);
+
+    assert.deepEqual(messages, []);
+    await fail('sitemap', 1);
+    assert.equal(messages.length, 1);
+    assert.match(messages[0], /News sitemap/);
+  });
+
+  it('does not throw when a message cannot be delivered', async () => {
+    const failing = new ScrapeHealthMonitor({
+      failureThreshold: 1,
+      notify: async () => {
+        throw new Error('Missing Access');
+      }
+    });
+
+    await failing.recordFailure('rankings', 'timeout');
+    await failing.recordSuccess('rankings');
+    assert.equal(failing.getStatus().rankings.alerted, false);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Subscription store tests
+ *
+ * Every store is backed by a file in a temporary directory, so reloading it
+ * shows what survives a restart.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SubscriptionStore = require('../subscriptions');
+
+const ARTICLES = [
+  { title: 'Vitality win the Major', url: 'https://www.hltv.org/news/40001/vitality-win-the-major', fromCache: true },
+  { title: 'NAVI bench player', url: 'https://www.hltv.org/news/40002/navi-bench-player' },
+  { title: 'Interview with ZywOo', url: 'https://www.hltv.org/news/40003/interview-with-zywoo' }
+];
+
+describe('SubscriptionStore', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'subscriptions-'));
+    filePath = path.join(tempDir, 'cache', 'subscriptions.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('adds and removes news channels and keeps them across restarts', () => {
+    const store = new SubscriptionStore(filePath);
+
+    assert.equal(store.addChannel('guild', 'news', { addedBy: 'admin' }), true);
+    assert.equal(store.addChannel('guild', 'other'), true);
+
+    const reloaded = new SubscriptionStore(filePath);
+    assert.deepEqual(reloaded.getGuildSubscriptions('guild').map(entry => entry.channelId), ['news', 'other']);
+    assert.equal(reloaded.getSubscription('guild', 'news').addedBy, 'admin');
+
+    assert.equal(reloaded.removeChannel('guild', 'news'), true);
+    assert.equal(reloaded.removeChannel('guild', 'news'), false);
+    assert.equal(new SubscriptionStore(filePath).getSubscription('guild', 'news'), null);
+  });
+
+  it('refuses to subscribe a channel twice without touching its history', () => {
+    const store = new SubscriptionStore(filePath);
+    store.addChannel('guild', 'news', { seedArticles: ARTICLES.slice(0, 1) });
+
+    assert.equal(store.addChannel('guild', 'news', { seedArticles: ARTICLES }), false);
+    assert.equal(store.getPostedArticles('guild', 'news').length, 1);
+    assert.equal(store.addTransferChannel('guild', 'news', { seedKeys: ['a'] }), true);
+    assert.equal(store.addTransferChannel('guild', 'news', { seedKeys: ['b'] }), false);
+    assert.deepEqual(store.getPostedTransfers('guild', 'news'), ['a']);
+  });
+
+  it('stores seeded articles with their ID and without runtime flags', () => {
+    const store = new SubscriptionStore(filePath);
+    store.addChannel('guild', 'news', { seedArticles: ARTICLES });
+
+    const [first] = store.getPostedArticles('guild', 'news');
+    assert.equal(first.articleId, 'hltv:40001');
+    assert.equal('fromCache' in first, false);
+  });
+
+  it('keeps only the newest posted articles, results and transfers', () => {
+    const store = new SubscriptionStore(filePath);
+    store.addChannel('guild', 'news');
+    store.addTransferChannel('guild', 'transfers', { seedKeys: ['t1', 't2'] });
+    store.setResultsEnabled('guild', 'news', true, ['r1']);
+
+    store.recordPostedArticles('guild', 'news', ARTICLES, 2);
+    store.recordPostedTransfers('guild', 'transfers', ['t3', 't4'], 3);
+    store.recordPostedResults('guild', 'news', ['r2', 'r3'], 2);
+
+    assert.deepEqual(store.getPostedArticles('guild', 'news').map(article => article.articleId), ['hltv:40002', 'hltv:40003']);
+    assert.deepEqual(store.getPostedTransfers('guild', 'transfers'), ['t2', 't3', 't4']);
+    assert.deepEqual(store.getPostedResults('guild', 'news'), ['r2', 'r3']);
+  });
+
+  it('ignores posted records of channels that are not subscribed', () => {
+    const store = new SubscriptionStore(filePath);
+
+    store.recordPostedArticles('guild', 'news', ARTICLES, 10);
+    store.recordPostedTransfers('guild', 'transfers', ['t1'], 10);
+
+    assert.deepEqual(store.getPostedArticles('guild', 'news'), []);
+    assert.deepEqual(store.getPostedTransfers('guild', 'transfers'), []);
+  });
+
+  it('removes a guild with its news and transfer channels', () => {
+    const store = new SubscriptionStore(filePath);
+    store.addChannel('guild', 'news');
+    store.addChannel('guild', 'other');
+    store.addTransferChannel('guild', 'transfers');
+    store.addChannel('other-guild', 'news');
+
+    assert.equal(store.removeGuild('guild'), 3);
+    assert.equal(store.removeGuild('guild'), 0);
+
+    const reloaded = new SubscriptionStore(filePath);
+    assert.deepEqual(reloaded.getAllSubscriptions().map(entry => entry.guildId), ['other-guild']);
+    assert.deepEqual(reloaded.getAllTransferSubscriptions(), []);
+  });
+
+  it('drops a guild entry once its last channel is removed', () => {
+    const store = new SubscriptionStore(filePath);
+    store.addChannel('guild', 'news');
+    store.addTransferChannel('guild', 'transfers');
+
+    store.removeChannel('guild', 'news');
+    assert.ok(store.data.guilds.guild);
+    store.removeTransferChannel('guild', 'transfers');
+    assert.equal(store.data.guilds.guild, undefined);
+  });
+
+  it('seeds a migrated CHANNEL_ID with the legacy posted articles file and remembers the migration', () => {
+    const legacyPath = path.join(tempDir, 'posted_articles.json');
+    fs.writeFileSync(legacyPath, JSON.stringify({ articles: ARTICLES }));
+
+    const store = new SubscriptionStore(filePath);
+    assert.equal(store.isLegacyMigrated(), false);
+    store.addChannel('guild', 'legacy', { seedArticles: JSON.parse(fs.readFileSync(legacyPath, 'utf8')).articles });
+    store.markLegacyMigrated();
+
+    const reloaded = new SubscriptionStore(filePath);
+    assert.equal(reloaded.isLegacyMigrated(), true);
+    assert.equal(reloaded.getPostedArticles('guild', 'legacy').length, 3);
+  });
+
+  it('adds article IDs to posted articles stored before they existed and merges duplicates', () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({
+      legacyMigrated: true,
+      guilds: {
+        guild: {
+          channels: {
+            news: {
+              addedAt: '2025-01-01T00:00:00.000Z',
+              postedArticles: [
+                { title: 'Vitality win the Major', url: 'https://www.hltv.org/news/40001/vitality-win-the-major' },
+                { title: 'NAVI bench player', url: 'https://www.hltv.org/news/40002/navi-bench-player' },
+                { title: 'Vitality win the Major', url: 'https://www.hltv.org/news/40001/vitality-major?ref=rss' }
+              ]
+            }
+          }
+        }
+      }
+    }));
+
+    const store = new SubscriptionStore(filePath);
+    const expected = [
+      ['hltv:40002', 'https://www.hltv.org/news/40002/navi-bench-player'],
+      ['hltv:40001', 'https://www.hltv.org/news/40001/vitality-major?ref=rss']
+    ];
+
+    const summarize = records => records.map(record => [record.articleId, record.url]);
+    assert.deepEqual(summarize(store.getPostedArticles('guild', 'news')), expected);
+    assert.deepEqual(summarize(JSON.parse(fs.readFileSync(filePath, 'utf8')).guilds.guild.channels.news.postedArticles), expected);
+    assert.deepEqual(store.getGuild('guild').transferChannels, {});
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Summarizer tests
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { splitSentences, truncateAtWord, summarize } = require('../summarizer');
+
+const ARTICLE = [
+  'Vitality won the Major in Budapest after beating Natus Vincere in the grand final.',
+  'ZywOo was named MVP of the Major after leading Vitality in rating across the playoffs.',
+  'The weather in Budapest stayed sunny for the whole weekend.',
+  'Tickets for the arena sold out within minutes of going on sale.',
+  'Natus Vincere had beaten Vitality in the group stage of the Major before the final.',
+  'Photo: HLTV'
+].join('\n\n');
+
+describe('splitSentences', () => {
+  it('does not split after abbreviations', () => {
+    assert.deepEqual(splitSentences('Vitality vs. NAVI is tonight. Tickets are gone.'), [
+      'Vitality vs. NAVI is tonight.',
+      'Tickets are gone.'
+    ]);
+  });
+});
+
+describe('summarize', () => {
+  it('keeps the sentences sharing the most words with the article, in order', () => {
+    assert.equal(summarize(ARTICLE, { sentences: 2 }), [
+      'Vitality won the Major in Budapest after beating Natus Vincere in the grand final.',
+      'Natus Vincere had beaten Vitality in the group stage of the Major before the final.'
+    ].join(' '));
+  });
+
+  it('returns short texts whole', () => {
+    const text = 'Vitality won the Major in Budapest. ZywOo was named MVP of the event.';
+    assert.equal(summarize(text), text);
+  });
+
+  it('cuts short texts that are too long at a word boundary', () => {
+    const text = 'Vitality won the Major in Budapest after beating Natus Vincere in the grand final.';
+    assert.equal(summarize(text, { maxLength: 30 }), 'Vitality won the Major in…');
+  });
+
+  it('cuts a single long sentence at a word boundary', () => {
+    const summary = summarize(ARTICLE, { sentences: 2, maxLength: 50 });
+
+    assert.ok(summary.length <= 50);
+    assert.equal(summary, 'Vitality won the Major in Budapest after beating…');
+  });
+
+  it('returns an empty summary for empty text', () => {
+    assert.equal(summarize(''), '');
+    assert.equal(summarize(null), '');
+    assert.equal(summarize('Photo: HLTV'), '');
+  });
+});
+
+describe('truncateAtWord', () => {
+  it('leaves text within the limit alone', () => {
+    assert.equal(truncateAtWord('Vitality win', 12), 'Vitality win');
+  });
+
+  it('cuts a single word longer than the limit', () => {
+    assert.equal(truncateAtWord('Supercalifragilistic', 10), 'Supercali…');
+  });
+});